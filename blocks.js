@@ -0,0 +1,47 @@
+// Converts UTC timestamps into block numbers.
+//
+// A timestamp resolves to the first block mined at or after it, so an epoch running from `startTime` to
+// `endTime` is scored from the first block of the epoch up to (but not including) the first block after it.
+// Block headers are read through the event source (see `eventSources.js`), so resolution works offline and
+// is cached like events (see `eventCache.js`).
+
+// `YYYY-MM-DD`, optionally followed by `THH:MM[:SS[.sss]]` and a UTC offset
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Accepts unix seconds or an ISO 8601 date string and returns unix seconds. Dates without a UTC offset are
+// read as UTC. Other date formats are rejected, as `Date.parse` would read some in the host's timezone.
+export const toTimestamp = (value) => {
+  if (Number.isSafeInteger(value) && value >= 0) return value;
+  const match = typeof value === "string" && value.match(ISO_DATE);
+  if (match) {
+    // Date-only strings are already read as UTC
+    const time = Date.parse(match[1] && !match[4] ? `${value}Z` : value);
+    if (!Number.isNaN(time)) return Math.floor(time / 1000);
+  }
+  throw new Error(`"${value}" is not a unix timestamp or an ISO 8601 date`);
+};
+
+export const toISOString = (timestamp) => new Date(timestamp * 1000).toISOString();
+
+// Returns `resolve(timestamp)`, which binary searches block headers up to `head` for the first block mined at
+// or after `timestamp`, or returns null if `head` is older than `timestamp`.
+export const createBlockResolver = (source, head) => {
+  const timestamps = new Map();
+  const timestampOf = async (number) => {
+    if (!timestamps.has(number)) timestamps.set(number, (await source.getBlock(number)).timestamp);
+    return timestamps.get(number);
+  };
+
+  return async (timestamp) => {
+    if ((await timestampOf(head)) < timestamp) return null;
+
+    let low = 0;
+    let high = head;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if ((await timestampOf(mid)) < timestamp) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+};
@@ -0,0 +1,63 @@
+// Per-user breakdown of a run, to trace every allocated wei back to the YT transfers it comes from.
+//
+// Each row holds an adapter, the reward token allocated, the YT of the series when series are scored
+// independently (see `series.js`), a user, the user's balance checkpoints (one per transfer, see `scores.js`),
+// their accrued score, their share of the total score, the amount they were allocated, the blocks at which the
+// series scored stopped accruing (see `series.js`) and the score they got through look-through holders (see
+// `lookThrough.js`). Rows are written both as JSON and as CSV, where checkpoints, cutoffs and look-through
+// scores are listed as space-separated `block:balance`, `series:block:reason` and `holder:score` tuples.
+import * as fs from "fs";
+import { sumScores } from "./scores.js";
+
+const CSV_COLUMNS = [
+  "adapter",
+  "token",
+  "series",
+  "user",
+  "score",
+  "share",
+  "allocation",
+  "checkpoints",
+  "cutoffs",
+  "lookThrough",
+];
+
+// Returns the rows of one adapter (or one of its `series`), from its eligible `scores` and the `rights`
+// allocated from them in `token`. `cutoffs` are the `{ series, block, reason }` cutoffs applied to the scores.
+export const breakdownRows = (adapter, scores, rights, { token, series = null, cutoffs = [] } = {}) => {
+  const totalScore = sumScores(scores);
+  return Object.entries(scores).map(([user, { score, checkpoints, lookThrough = [] }]) => ({
+    adapter,
+    token,
+    series: series?.yt ?? null,
+    user,
+    checkpoints: checkpoints.map(({ block, amount }) => ({ block, balance: amount.toFixed() })),
+    score: score.toFixed(),
+    share: totalScore.isZero() ? "0" : score.div(totalScore).toFixed(),
+    allocation: rights[user] ?? "0",
+    cutoffs,
+    lookThrough: lookThrough.map(({ holder, score }) => ({ holder, score: score.toFixed() })),
+  }));
+};
+
+export const toCsv = (rows) =>
+  [
+    CSV_COLUMNS.join(","),
+    ...rows.map((row) =>
+      CSV_COLUMNS.map((column) =>
+        column === "checkpoints"
+          ? row.checkpoints.map(({ block, balance }) => `${block}:${balance}`).join(" ")
+          : column === "cutoffs"
+          ? row.cutoffs.map(({ series, block, reason }) => `${series}:${block}:${reason}`).join(" ")
+          : column === "lookThrough"
+          ? row.lookThrough.map(({ holder, score }) => `${holder}:${score}`).join(" ")
+          : row[column] ?? ""
+      ).join(",")
+    ),
+  ].join("\n") + "\n";
+
+// Writes `rows` to `<path>.json` and `<path>.csv`
+export const writeBreakdown = async (path, rows) => {
+  await fs.promises.writeFile(`${path}.json`, JSON.stringify(rows, null, 2));
+  await fs.promises.writeFile(`${path}.csv`, toCsv(rows));
+};
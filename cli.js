@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+// Command-line entry point for the rewards tool.
+//
+// Usage:
+//   node cli.js compute [--config <epoch name or file>] [--adapter <address> ...] [--start-block <n>]
+//                       [--end-block <n>] [--epoch <name>] [--output <path>] [--previous <proofs file>] [--dry-run]
+//                       [--breakdown <path>] [--cross-check] [--events <dump file>] [--record <dump file>]
+//                       [--cache-dir <dir>] [--no-cache]
+//   node cli.js verify [--strict] [--allow-mixed-case] <proofs file> [<proofs file> ...]
+//   node cli.js diff [--json] <old proofs file> [<new proofs file> | <compute flags>]
+//   node cli.js reconcile [--due <due file>] <proofs file> [<proofs file> ...]
+//
+// `compute` reads an epoch config (see `epochs.js`); flags override the matching config fields, or
+// describe the whole run when no config is given. `--events` replays a JSON/NDJSON event dump instead of
+// querying Alchemy, and `--record` writes every event and balance the run used to such a dump. Events fetched
+// from Alchemy are cached in `--cache-dir` (default `./cache`, see `eventCache.js`) unless `--no-cache` is set.
+// `--breakdown <path>` writes the per-user breakdown of the run to `<path>.json` and `<path>.csv`, and
+// `--cross-check` checks YT transfers against the Divider's events before writing the proofs.
+//
+// `verify` checks every proof of the files against their root and exits non-zero on errors, or on warnings
+// too with `--strict` (see `verify.js`). An account spelled with different casing across files is an error,
+// as claims keyed by one spelling miss the others, unless `--allow-mixed-case` makes it a warning.
+//
+// `diff` compares two proofs files, or a proofs file with a fresh computation described by the `compute` flags
+// (no proofs file is written), and exits non-zero if an address can claim less than before (see `diff.js`).
+// Files with several reward tokens are compared token by token.
+//
+// `reconcile` reports which entries of the due file (default `./due-morpho.json`) the proofs files already merged
+// (see `reconcile.js`).
+import { parseArgs } from "util";
+import { alchemyEventSource, main } from "./index.js";
+import { diffProofs } from "./diff.js";
+import { cachedEventSource } from "./eventCache.js";
+import { createFileEventSource, recordingEventSource, writeEventDump } from "./eventSources.js";
+import { DUE_FILENAME, findCovered, loadDue } from "./reconcile.js";
+import { loadEpochConfig, validateEpochConfig } from "./epochs.js";
+import { MORPHO_TOKEN, readProofsFile, tokenSectionsOf } from "./proofs.js";
+import { findCasingMismatches, verifyProofsFile } from "./verify.js";
+
+const USAGE = `Usage:
+  node cli.js compute [--config <epoch name or file>] [--adapter <address> ...] [--start-block <n>]
+                      [--end-block <n>] [--epoch <name>] [--output <path>] [--previous <proofs file>] [--dry-run]
+                      [--breakdown <path>] [--cross-check] [--events <dump file>] [--record <dump file>]
+                      [--cache-dir <dir>] [--no-cache]
+  node cli.js verify [--strict] [--allow-mixed-case] <proofs file> [<proofs file> ...]
+  node cli.js diff [--json] <old proofs file> [<new proofs file> | <compute flags>]
+  node cli.js reconcile [--due <due file>] <proofs file> [<proofs file> ...]`;
+
+const parseBlock = (value, flag) => {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) throw new Error(`${flag} must be a block number, got "${value}"`);
+  return Number(value);
+};
+
+const COMPUTE_OPTIONS = {
+  config: { type: "string" },
+  adapter: { type: "string", multiple: true },
+  "start-block": { type: "string" },
+  "end-block": { type: "string" },
+  epoch: { type: "string" },
+  output: { type: "string" },
+  previous: { type: "string" },
+  breakdown: { type: "string" },
+  "cross-check": { type: "boolean" },
+  "dry-run": { type: "boolean", default: false },
+  events: { type: "string" },
+  record: { type: "string" },
+  "cache-dir": { type: "string", default: "./cache" },
+  "no-cache": { type: "boolean", default: false },
+};
+
+// Runs `main` as described by the `compute` flags, with `output` overriding where the proofs are written
+async function runCompute(values, output) {
+  const config = values.config ? await loadEpochConfig(values.config) : {};
+  const overrides = {
+    epoch: values.epoch,
+    startBlock: parseBlock(values["start-block"], "--start-block"),
+    endBlock: parseBlock(values["end-block"], "--end-block"),
+    adapters: values.adapter?.map((address) => ({ address })),
+    output: values.output,
+    previous: values.previous,
+    breakdown: values.breakdown,
+    crossCheck: values["cross-check"],
+  };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) config[key] = value;
+  }
+  // A block flag replaces the config's boundary whether it was given as a block or as a time
+  if (overrides.startBlock !== undefined) delete config.startTime;
+  if (overrides.endBlock !== undefined) delete config.endTime;
+
+  let source = values.events ? await createFileEventSource(values.events) : alchemyEventSource();
+  if (!values.events && !values["no-cache"]) source = cachedEventSource(source, { dir: values["cache-dir"] });
+  if (values.record) source = recordingEventSource(source);
+
+  const result = await main(
+    {
+      ...validateEpochConfig(config, values.config ?? "command line"),
+      ...(output !== undefined && { output }),
+    },
+    { simulatedRun: values["dry-run"], source }
+  );
+
+  if (values.record) {
+    await writeEventDump(values.record, source.records());
+    console.log(`Event dump written to ${values.record}`);
+  }
+  return result;
+}
+
+async function compute(args) {
+  const { values } = parseArgs({ args, options: COMPUTE_OPTIONS });
+  await runCompute(values);
+}
+
+async function verify(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      strict: { type: "boolean", default: false },
+      "allow-mixed-case": { type: "boolean", default: false },
+    },
+  });
+  if (positionals.length === 0) throw new Error("verify takes at least one proofs file");
+
+  const files = await Promise.all(positionals.map(readProofsFile));
+  let failed = false;
+  files.forEach((file, i) => {
+    const { entries, errors, warnings } = verifyProofsFile(file);
+    console.log(
+      `${positionals[i]}: ${entries} entries, ${errors.length} errors, ${warnings.length} warnings`
+    );
+    for (const error of errors) console.log(`  error: ${error}`);
+    for (const warning of warnings) console.log(`  warning: ${warning}`);
+    failed ||= errors.length > 0 || (values.strict && warnings.length > 0);
+  });
+
+  const allowed = values["allow-mixed-case"];
+  for (const [address, spellings] of Object.entries(findCasingMismatches(files))) {
+    console.log(
+      `${allowed ? "warning" : "error"}: ${address} is spelled ${spellings.join(", ")} across files`
+    );
+    failed ||= !allowed || values.strict;
+  }
+
+  return failed ? 1 : 0;
+}
+
+async function diff(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: { ...COMPUTE_OPTIONS, json: { type: "boolean", default: false } },
+  });
+  if (positionals.length < 1 || positionals.length > 2)
+    throw new Error("diff takes a proofs file and either another proofs file or compute flags");
+
+  const before = await readProofsFile(positionals[0]);
+  const after = positionals[1] ? await readProofsFile(positionals[1]) : await runCompute(values, null);
+  const tokens = [
+    ...new Set([...Object.keys(tokenSectionsOf(before)), ...Object.keys(tokenSectionsOf(after))]),
+  ];
+  const diffs = Object.fromEntries(tokens.map((token) => [token, diffProofs(before, after, token)]));
+  const grouped = tokens.length > 1 || tokens[0] !== MORPHO_TOKEN;
+
+  if (values.json) {
+    console.log(JSON.stringify(grouped ? diffs : diffs[MORPHO_TOKEN], null, 2));
+  } else {
+    const signed = (delta) => (delta.startsWith("-") ? delta : `+${delta}`);
+    for (const [token, { changes, added, removed, decreased, totals }] of Object.entries(diffs)) {
+      if (grouped) console.log(`token ${token}`);
+      for (const { address, before, after, delta } of changes)
+        console.log(`${address} ${before} -> ${after} (${signed(delta)})`);
+      for (const address of added) console.log(`new claimant     ${address}`);
+      for (const address of removed) console.log(`removed claimant ${address}`);
+      for (const address of decreased) console.log(`error: ${address} can claim less than before`);
+      console.log(
+        `total ${totals.before} -> ${totals.after} (${signed(totals.delta)}), ${changes.length} changed, ${
+          added.length
+        } new, ${removed.length} removed`
+      );
+    }
+  }
+
+  return Object.values(diffs).some(({ decreased }) => decreased.length > 0) ? 1 : 0;
+}
+
+async function reconcile(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: { due: { type: "string", default: DUE_FILENAME } },
+  });
+  if (positionals.length === 0) throw new Error("reconcile takes at least one proofs file");
+
+  const { covered, outstanding } = findCovered(
+    await loadDue(values.due),
+    await Promise.all(positionals.map(readProofsFile))
+  );
+  for (const { address, amount, epoch } of covered)
+    console.log(`covered     ${address} ${amount} (${epoch})`);
+  for (const { address, amount } of outstanding) console.log(`outstanding ${address} ${amount}`);
+}
+
+const COMMANDS = { compute, verify, diff, reconcile };
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!COMMANDS[command]) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+COMMANDS[command](args)
+  .then((exitCode = 0) => process.exit(exitCode))
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
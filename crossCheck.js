@@ -0,0 +1,91 @@
+// Cross-checks the YT transfers scores are computed from against the Divider's own events.
+//
+// Scores only see YT `Transfer` events, so a missing or malformed transfer silently skews every holder's
+// balance. The Divider independently records how YTs enter and leave circulation:
+// * every mint must match an `Issued` event for the same series, recipient and amount in the same transaction
+// * every burn must come with a `Combined` (by the same holder), `Collected` or `YTRedeemed` event for the
+//   same series in the same transaction, and every `Combined` before settlement must burn the holder's YTs
+// * replaying the transfers must never leave a holder with a negative balance
+import ethers from "ethers";
+import Decimal from "./math.js";
+import { sortEvents } from "./eventSources.js";
+
+export const DIVIDER_EVENTS = ["Issued", "Combined", "Collected", "YTRedeemed"];
+
+// `transfers` are the YT `Transfer` events of `series` (its `SeriesInitialized` args) and `dividerEvents` the
+// Divider's events by name (see `DIVIDER_EVENTS`), only those up to `toBlock` being checked. `settledAt` is
+// the block the series was settled at, if it was. Returns a list of messages describing inconsistencies.
+export const crossCheckSeries = (series, transfers, dividerEvents, { toBlock, settledAt = null }) => {
+  const issues = [];
+  const { AddressZero } = ethers.constants;
+  // Event sources may spell addresses in any casing
+  const same = (a, b) => ethers.utils.getAddress(a) === ethers.utils.getAddress(b);
+
+  const ofSeries = (name) =>
+    (dividerEvents[name] ?? []).filter(
+      ({ args, blockNumber }) =>
+        blockNumber <= toBlock && same(args.adapter, series.adapter) && args.maturity === series.maturity
+    );
+  const inTx = (events, { transactionHash }) => events.filter((e) => e.transactionHash === transactionHash);
+
+  const issued = ofSeries("Issued");
+  const combined = ofSeries("Combined");
+  const collected = [...ofSeries("Collected"), ...ofSeries("YTRedeemed")];
+  transfers = sortEvents(transfers.filter(({ blockNumber }) => blockNumber <= toBlock));
+
+  const matched = new Set();
+  for (const transfer of transfers) {
+    const { from, to, amount } = transfer.args;
+    if (from === AddressZero) {
+      const issue = inTx(issued, transfer).find(
+        (e) => !matched.has(e) && same(e.args.sender, to) && e.args.balance === amount
+      );
+      if (issue) matched.add(issue);
+      else
+        issues.push(
+          `${series.yt}: mint of ${amount} to ${to} in ${transfer.transactionHash} has no Issued event`
+        );
+    } else if (to === AddressZero) {
+      const explained =
+        inTx(combined, transfer).some((e) => same(e.args.sender, from)) ||
+        inTx(collected, transfer).length > 0;
+      if (!explained)
+        issues.push(
+          `${series.yt}: burn of ${amount} from ${from} in ${transfer.transactionHash} has no Combined, Collected or YTRedeemed event`
+        );
+    }
+  }
+
+  for (const e of issued) {
+    if (!matched.has(e))
+      issues.push(
+        `${series.yt}: Issued ${e.args.balance} to ${e.args.sender} in ${e.transactionHash} minted no YTs`
+      );
+  }
+  for (const e of combined) {
+    if (settledAt != null && e.blockNumber >= settledAt) continue;
+    const burnt = inTx(transfers, e).some(
+      ({ args }) => same(args.from, e.args.sender) && args.to === AddressZero
+    );
+    if (!burnt)
+      issues.push(`${series.yt}: Combined by ${e.args.sender} in ${e.transactionHash} burnt no YTs`);
+  }
+
+  const balances = {};
+  for (const { args, blockNumber } of transfers) {
+    const amount = new Decimal(args.amount);
+    const from = ethers.utils.getAddress(args.from);
+    const to = ethers.utils.getAddress(args.to);
+    if (from !== AddressZero) {
+      const balance = balances[from] ?? new Decimal(0);
+      if (balance.lt(amount))
+        issues.push(
+          `${series.yt}: ${from} sends ${amount} at block ${blockNumber} but only holds ${balance}`
+        );
+      balances[from] = balance.minus(amount);
+    }
+    if (to !== AddressZero) balances[to] = (balances[to] ?? new Decimal(0)).plus(amount);
+  }
+
+  return issues;
+};
@@ -0,0 +1,40 @@
+// Compares two proofs files (see `proofs.js`), e.g. the previous epoch's and a new one before publishing it.
+//
+// Amounts are cumulative, so no address should ever be able to claim less than before: `decreased` lists
+// the addresses for which that happens, including claimants missing from the new file.
+import Decimal from "./math.js";
+import { MORPHO_TOKEN, amountsOf } from "./proofs.js";
+import { sumAmounts } from "./scores.js";
+
+// Compares the amounts of `token` in two proofs files. Returns `{ changes, added, removed, decreased, totals }`
+// where `changes` lists every address whose amount changed as `{ address, before, after, delta }` (amounts as
+// strings), `added` and `removed` the addresses that appear or disappear, and `totals` the
+// `{ before, after, delta }` of the sums of all amounts.
+export const diffProofs = (before, after, token = MORPHO_TOKEN) => {
+  const beforeAmounts = amountsOf(before, token);
+  const afterAmounts = amountsOf(after, token);
+
+  const changes = [];
+  for (const address of new Set([...Object.keys(beforeAmounts), ...Object.keys(afterAmounts)])) {
+    const from = new Decimal(beforeAmounts[address] ?? 0);
+    const to = new Decimal(afterAmounts[address] ?? 0);
+    if (!from.eq(to))
+      changes.push({ address, before: from.toFixed(), after: to.toFixed(), delta: to.minus(from).toFixed() });
+  }
+  changes.sort((a, b) => new Decimal(b.delta).comparedTo(a.delta) || (a.address < b.address ? -1 : 1));
+
+  const totalBefore = sumAmounts(beforeAmounts);
+  const totalAfter = sumAmounts(afterAmounts);
+
+  return {
+    changes,
+    added: Object.keys(afterAmounts).filter((address) => !(address in beforeAmounts)),
+    removed: Object.keys(beforeAmounts).filter((address) => !(address in afterAmounts)),
+    decreased: changes.filter(({ delta }) => new Decimal(delta).isNegative()).map(({ address }) => address),
+    totals: {
+      before: totalBefore.toFixed(),
+      after: totalAfter.toFixed(),
+      delta: totalAfter.minus(totalBefore).toFixed(),
+    },
+  };
+};
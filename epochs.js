@@ -0,0 +1,238 @@
+// Loads and validates epoch configuration files.
+//
+// An epoch config declares every input of a rewards run, e.g.
+//
+// {
+//   "epoch": "age5-epoch1",
+//   "startBlock": 16000000,
+//   "endBlock": 16200000,
+//   "output": "./proof.json",
+//   "adapters": [{ "address": "0x529c...", "name": "maUSDC", "pot": "1337000000000000000000" }]
+// }
+//
+// Optional fields:
+// * `endBlock`: defaults to the latest block
+// * `pot` (per adapter): an amount in wei, or where to source it from, e.g. `{ "source": "balance-delta" }` (see
+//   `pots.js`). Defaults to the adapter's MORPHO balance
+// * `rewards` (per adapter): `[{ "token": "0x...", "pot": ... }]`, the reward tokens of adapters accruing more
+//   than MORPHO, each with its own pot. Replaces `pot`
+// * `tree`: with several reward tokens, build one tree per token ("per-token", the default) or a single
+//   "combined" tree of `(address, token, amount)` leaves (see `proofs.js`)
+// * `leafEncoding`: how leaves are encoded for the distributor contract, e.g. "index-address-amount" or
+//   "openzeppelin" (see `merkleTree.js`)
+// * `startBlock`/`endBlock` (per adapter): for adapters only taking part in part of the epoch
+// * `startTime`/`endTime` (epoch or adapter): UTC boundaries (ISO 8601 or unix seconds) used instead of
+//   blocks, resolved to blocks when the epoch runs (see `blocks.js`)
+// * `exclude`: addresses that don't earn rewards this epoch, on top of `./exclusions.json` (see `exclusions.js`)
+// * `redirects`: `[{ "holder": "0x...", "beneficiary": "0x..." }]`, holders whose rewards go to a beneficiary
+//   this epoch, on top of `./redirects.json` (see `redirects.js`)
+// * `dust`: what happens to the share of holders below the minimum share,
+//   `{ "policy": "redistribute" | "rollover" | "treasury", "treasury": "0x..." }` (see `scores.js`)
+// * `rounding`: how wei left over by pro-rata splits are assigned, "largest-remainder" or
+//   "floor-plus-remainder" (see `scores.js`)
+// * `seriesWeights` (epoch or adapter): score each series of an adapter independently and split its pot across
+//   series by "equal" weights, YT "supply" or underlying "value" (see `series.js`). By default YTs of all
+//   series are pooled
+// * `crossCheck`: check YT transfers against the Divider's mint and burn events, refusing to write the proofs
+//   on inconsistencies (see `crossCheck.js`)
+// * `lookThrough`: contracts holding YTs on behalf of depositors, e.g. Space pools, as
+//   `[{ "holder": "0x...", "type": "erc20-shares", "token": "0x..." }]`. Their score is re-attributed to their
+//   depositors (see `lookThrough.js`)
+// * `previous`: the previous epoch's proofs file. Its amounts are carried over into this epoch's cumulative
+//   tree and its rolled over dust is added to this epoch's pots
+// * `due`: `{ "file": "./due-morpho.json", "coveredBy": ["./proof.json"] }`, outstanding balances to merge
+//   into the distribution unless one of the `coveredBy` proofs files (or `previous`) already merged them (see
+//   `reconcile.js`)
+// * `breakdown`: path prefix of the per-user breakdown of the run, written as `.json` and `.csv` (see
+//   `breakdown.js`)
+//
+// Configs live in `./epochs/<epoch>.json`.
+import ethers from "ethers";
+import * as fs from "fs";
+import * as path from "path";
+import { toTimestamp } from "./blocks.js";
+import { parseExclusions } from "./exclusions.js";
+import { LOOK_THROUGH_RESOLVERS } from "./lookThrough.js";
+import { LEAF_ENCODINGS, TOKEN_ENCODINGS } from "./merkleTree.js";
+import { POT_SOURCES } from "./pots.js";
+import { TREE_LAYOUTS } from "./proofs.js";
+import { parseRedirects } from "./redirects.js";
+import { DUST_POLICIES, ROUNDING_MODES } from "./scores.js";
+import { SERIES_WEIGHTS } from "./series.js";
+
+export const EPOCHS_DIR = "./epochs";
+
+const isBlock = (value) => Number.isSafeInteger(value) && value >= 0;
+
+const isChecksummed = (address) => {
+  try {
+    return ethers.utils.getAddress(address) === address;
+  } catch {
+    return false;
+  }
+};
+
+export const validateEpochConfig = (config, source = "epoch config") => {
+  const fail = (message) => {
+    throw new Error(`${source}: ${message}`);
+  };
+
+  // Validates the `startBlock`/`startTime` and `endBlock`/`endTime` of the epoch or of one of its adapters,
+  // converting times to unix seconds
+  const validateWindow = (window, prefix) => {
+    const times = {};
+    for (const bound of ["start", "end"]) {
+      const block = window[`${bound}Block`];
+      const time = window[`${bound}Time`];
+      if (block != null && time != null)
+        fail(`${prefix}${bound}Block and ${prefix}${bound}Time are exclusive`);
+      if (block != null && !isBlock(block)) fail(`${prefix}${bound}Block must be a block number`);
+      if (time != null) {
+        try {
+          times[bound] = toTimestamp(time);
+        } catch (err) {
+          fail(`${prefix}${bound}Time: ${err.message}`);
+        }
+      }
+    }
+    if (window.startBlock != null && window.endBlock != null && window.endBlock < window.startBlock)
+      fail(`${prefix}endBlock must not be before ${prefix}startBlock`);
+    if (times.start != null && times.end != null && times.end <= times.start)
+      fail(`${prefix}endTime must be after ${prefix}startTime`);
+    return {
+      ...(times.start != null && { startTime: times.start }),
+      ...(times.end != null && { endTime: times.end }),
+    };
+  };
+
+  // Validates a pot (see `pots.js`), `null` standing for the adapter's balance
+  const validatePot = (pot, field) => {
+    if (typeof pot === "string" && !/^\d+$/.test(pot)) fail(`${field} must be an integer string (wei)`);
+    if (pot != null && typeof pot === "object") {
+      const { source, amount, proofs } = pot;
+      if (!POT_SOURCES.includes(source)) fail(`${field}.source must be one of ${POT_SOURCES.join(", ")}`);
+      if (source === "fixed" && !/^\d+$/.test(amount))
+        fail(`${field}.amount must be an integer string (wei)`);
+      if (
+        source === "undistributed" &&
+        !(Array.isArray(proofs) && proofs.every((p) => typeof p === "string"))
+      )
+        fail(`${field}.proofs must be a list of proofs files`);
+    } else if (pot != null && typeof pot !== "string") {
+      fail(`${field} must be an integer string (wei) or a pot source`);
+    }
+  };
+
+  if (typeof config.epoch !== "string" || config.epoch === "") fail("`epoch` must be a non-empty string");
+  const times = validateWindow(config, "");
+  if (!Array.isArray(config.adapters) || config.adapters.length === 0)
+    fail("`adapters` must be a non-empty list");
+
+  const adapters = config.adapters.map((adapter, i) => {
+    let address;
+    try {
+      address = ethers.utils.getAddress(adapter.address);
+    } catch {
+      fail(`adapters[${i}].address "${adapter.address}" is not a valid address`);
+    }
+    if (adapter.rewards != null) {
+      if (adapter.pot != null) fail(`adapters[${i}].pot and adapters[${i}].rewards are exclusive`);
+      if (!Array.isArray(adapter.rewards) || adapter.rewards.length === 0)
+        fail(`adapters[${i}].rewards must be a non-empty list`);
+      const tokens = new Set();
+      adapter.rewards.forEach(({ token, pot }, j) => {
+        if (!isChecksummed(token)) fail(`adapters[${i}].rewards[${j}].token must be a checksummed address`);
+        if (tokens.has(token)) fail(`adapters[${i}].rewards lists ${token} twice`);
+        tokens.add(token);
+        validatePot(pot, `adapters[${i}].rewards[${j}].pot`);
+      });
+    }
+    validatePot(adapter.pot, `adapters[${i}].pot`);
+    if (adapter.seriesWeights != null && !SERIES_WEIGHTS.includes(adapter.seriesWeights))
+      fail(`adapters[${i}].seriesWeights must be one of ${SERIES_WEIGHTS.join(", ")}`);
+    return { ...adapter, ...validateWindow(adapter, `adapters[${i}].`), address };
+  });
+
+  if (config.dust != null) {
+    if (!DUST_POLICIES.includes(config.dust.policy))
+      fail(`\`dust.policy\` must be one of ${DUST_POLICIES.join(", ")}`);
+    if (config.dust.policy === "treasury" && !isChecksummed(config.dust.treasury))
+      fail("`dust.treasury` must be a checksummed address");
+  }
+  if (config.rounding != null && !ROUNDING_MODES.includes(config.rounding))
+    fail(`\`rounding\` must be one of ${ROUNDING_MODES.join(", ")}`);
+  if (config.tree != null && !TREE_LAYOUTS.includes(config.tree))
+    fail(`\`tree\` must be one of ${TREE_LAYOUTS.join(", ")}`);
+  if (config.leafEncoding != null) {
+    if (!(config.leafEncoding in LEAF_ENCODINGS))
+      fail(`\`leafEncoding\` must be one of ${Object.keys(LEAF_ENCODINGS).join(", ")}`);
+    if (config.tree === "combined" && !TOKEN_ENCODINGS.includes(config.leafEncoding))
+      fail(`combined trees need a \`leafEncoding\` holding the token: ${TOKEN_ENCODINGS.join(", ")}`);
+    if (config.tree !== "combined" && config.leafEncoding === "address-token-amount")
+      fail('"address-token-amount" leaves are only used by combined trees');
+  }
+  if (config.seriesWeights != null && !SERIES_WEIGHTS.includes(config.seriesWeights))
+    fail(`\`seriesWeights\` must be one of ${SERIES_WEIGHTS.join(", ")}`);
+  if (config.crossCheck != null && typeof config.crossCheck !== "boolean")
+    fail("`crossCheck` must be a boolean");
+  if (config.previous != null && typeof config.previous !== "string")
+    fail("`previous` must be the path of a proofs file");
+  if (config.breakdown != null && typeof config.breakdown !== "string") fail("`breakdown` must be a path");
+
+  if (config.due != null) {
+    if (typeof config.due.file !== "string") fail("`due.file` must be the path of a due file");
+    if (config.due.coveredBy != null && !Array.isArray(config.due.coveredBy))
+      fail("`due.coveredBy` must be a list of proofs files");
+  }
+
+  let lookThrough;
+  if (config.lookThrough != null) {
+    if (!Array.isArray(config.lookThrough)) fail("`lookThrough` must be a list of holders");
+    lookThrough = config.lookThrough.map((entry, i) => {
+      if (!(entry.type in LOOK_THROUGH_RESOLVERS))
+        fail(`lookThrough[${i}].type must be one of ${Object.keys(LOOK_THROUGH_RESOLVERS).join(", ")}`);
+      const address = (field) => {
+        try {
+          return ethers.utils.getAddress(entry[field]);
+        } catch {
+          fail(`lookThrough[${i}].${field} "${entry[field]}" is not a valid address`);
+        }
+      };
+      return { ...entry, holder: address("holder"), ...(entry.token != null && { token: address("token") }) };
+    });
+  }
+
+  if (config.exclude != null) {
+    if (!Array.isArray(config.exclude)) fail("`exclude` must be a list of addresses");
+    try {
+      parseExclusions(config.exclude);
+    } catch (err) {
+      fail(err.message);
+    }
+  }
+
+  if (config.redirects != null) {
+    if (!Array.isArray(config.redirects)) fail("`redirects` must be a list of redirects");
+    try {
+      parseRedirects(config.redirects);
+    } catch (err) {
+      fail(err.message);
+    }
+  }
+
+  return {
+    ...config,
+    ...times,
+    startBlock: config.startBlock ?? (times.startTime == null ? 0 : null),
+    endBlock: config.endBlock ?? null,
+    adapters,
+    ...(lookThrough && { lookThrough }),
+  };
+};
+
+// Accepts either a path to a config file or the name of an epoch in `EPOCHS_DIR`.
+export const loadEpochConfig = async (pathOrEpoch) => {
+  const file = pathOrEpoch.endsWith(".json") ? pathOrEpoch : path.join(EPOCHS_DIR, `${pathOrEpoch}.json`);
+  const config = JSON.parse(await fs.promises.readFile(file, "utf8"));
+  return validateEpochConfig(config, file);
+};
@@ -0,0 +1,115 @@
+// On-disk cache for event sources (see `eventSources.js`), so runs only fetch blocks added since the last sync.
+//
+// Events are cached per contract and event name in `<dir>/<address>-<event>.ndjson`, an append-only file of
+// event records, next to `<dir>/<address>-<event>.json` which records the block range the file covers. Blocks
+// within `confirmations` of the head are never cached so reorgs can't poison the cache. Block headers are
+// cached in `<dir>/blocks.json` under the same rule.
+import * as fs from "fs";
+import * as path from "path";
+import { sortEvents } from "./eventSources.js";
+
+const readJson = async (file, fallback) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+};
+
+const readEvents = async (file) => {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  // A run interrupted between appending events and saving the range re-appends them on the next sync
+  const events = new Map();
+  for (const line of raw.split("\n")) {
+    if (line.trim() === "") continue;
+    const event = JSON.parse(line);
+    events.set(`${event.transactionHash}:${event.logIndex}`, event);
+  }
+  return [...events.values()];
+};
+
+export const cachedEventSource = (source, { dir = "./cache", confirmations = 12 } = {}) => {
+  let head;
+  let blocks;
+  const getHead = async () => {
+    if (head === undefined) head = await source.getBlockNumber();
+    return head;
+  };
+
+  // Fetches [from, to] from the underlying source and appends it to the cache
+  const sync = async (query, eventsFile, from, to) => {
+    if (from > to) return;
+    const events = await source.getEvents({ ...query, fromBlock: from, toBlock: to });
+    if (events.length > 0)
+      await fs.promises.appendFile(eventsFile, events.map((e) => JSON.stringify(e) + "\n").join(""));
+  };
+
+  return {
+    async getEvents(query) {
+      const { address, event, fromBlock = 0, toBlock = "latest" } = query;
+      const latest = await getHead();
+      const to = toBlock === "latest" ? latest : toBlock;
+      const safeBlock = Math.min(to, latest - confirmations);
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      const key = path.join(dir, `${address.toLowerCase()}-${event}`);
+      const rangeFile = `${key}.json`;
+      const eventsFile = `${key}.ndjson`;
+
+      let range = await readJson(rangeFile, null);
+      if (range === null) {
+        await sync(query, eventsFile, fromBlock, safeBlock);
+        range = { fromBlock, toBlock: Math.max(safeBlock, fromBlock - 1) };
+      } else {
+        // Blocks before the cached range are older than blocks already deemed safe
+        await sync(query, eventsFile, fromBlock, range.fromBlock - 1);
+        await sync(query, eventsFile, range.toBlock + 1, safeBlock);
+        range = {
+          fromBlock: Math.min(range.fromBlock, fromBlock),
+          toBlock: Math.max(range.toBlock, safeBlock),
+        };
+      }
+      await fs.promises.writeFile(rangeFile, JSON.stringify(range, null, 2));
+
+      const cached = (await readEvents(eventsFile)).filter(
+        (e) => e.blockNumber >= fromBlock && e.blockNumber <= Math.min(to, range.toBlock)
+      );
+      const recent =
+        to > range.toBlock
+          ? await source.getEvents({
+              ...query,
+              fromBlock: Math.max(fromBlock, range.toBlock + 1),
+              toBlock: to,
+            })
+          : [];
+
+      return sortEvents([...cached, ...recent]);
+    },
+
+    getBlockNumber: getHead,
+
+    async getBlock(number) {
+      const blocksFile = path.join(dir, "blocks.json");
+      blocks ??= await readJson(blocksFile, {});
+      if (blocks[number]) return { number, timestamp: blocks[number] };
+
+      const block = await source.getBlock(number);
+      if (number <= (await getHead()) - confirmations) {
+        blocks[number] = block.timestamp;
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(blocksFile, JSON.stringify(blocks));
+      }
+      return block;
+    },
+
+    balanceOf: (token, holder, blockTag) => source.balanceOf(token, holder, blockTag),
+    call: (query) => source.call(query),
+  };
+};
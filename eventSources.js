@@ -0,0 +1,218 @@
+// Event sources feed the rewards computation with on-chain data.
+//
+// Every source exposes the same interface:
+//
+// * getEvents({ address, abi, event, fromBlock, toBlock }) -> events of `event` emitted by `address`,
+//   as plain `{ address, event, blockNumber, logIndex, transactionHash, args }` objects where `args`
+//   holds the named event arguments with uint values as decimal strings
+// * getBlockNumber() -> the latest block the source knows about
+// * getBlock(number) -> `{ number, timestamp }` of a block header
+// * balanceOf(token, holder, blockTag) -> `token.balanceOf(holder)` at `blockTag`, as a decimal string
+// * call({ address, abi, method, args, blockTag }) -> the result of a view `method` at `blockTag`, with uint
+//   values as decimal strings
+//
+// The provider source reads from an RPC node. The file source replays a JSON (array) or NDJSON (one object
+// per line) dump of records, so runs can be reproduced offline:
+//
+// { "type": "head", "blockNumber": 16000000 }
+// { "type": "event", "address": "0x...", "event": "Transfer", "blockNumber": 1, "logIndex": 0, "transactionHash": "0x...", "args": { ... } }
+// { "type": "balance", "token": "0x...", "holder": "0x...", "blockTag": "latest", "balance": "1000" }
+// { "type": "block", "number": 15000000, "timestamp": 1656000000 }
+// { "type": "call", "address": "0x...", "method": "mscale", "args": ["0x...", "1656633600"], "blockTag": 16000000, "result": "1000" }
+//
+// Such dumps are produced by wrapping any source with `recordingEventSource` and writing its records with
+// `writeEventDump`.
+import ethers from "ethers";
+import * as fs from "fs";
+
+import tokenAbi from "./abis/Token.js";
+
+const toPlain = (value) => {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  return value;
+};
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Sorts events in chain order
+export const sortEvents = (events) =>
+  [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+// Logs are queried in pages of at most `blockRange` blocks. When the provider rejects a page (e.g. because it
+// exceeds its log limit) the page is halved and retried, down to `minBlockRange`, and grows back after
+// successful pages.
+export const createProviderEventSource = (provider, { blockRange = 500000, minBlockRange = 100 } = {}) => ({
+  async getEvents({ address, abi, event, fromBlock = 0, toBlock = "latest" }) {
+    const contract = new ethers.Contract(address, abi, provider);
+    const filter = contract.filters[event]();
+    const to = toBlock === "latest" ? await provider.getBlockNumber() : toBlock;
+
+    const logs = [];
+    let range = blockRange;
+    for (let from = fromBlock; from <= to; ) {
+      const pageTo = Math.min(from + range - 1, to);
+      try {
+        logs.push(...(await contract.queryFilter(filter, from, pageTo)));
+        from = pageTo + 1;
+        range = Math.min(range * 2, blockRange);
+      } catch (err) {
+        if (range <= minBlockRange) throw err;
+        range = Math.max(Math.floor(range / 2), minBlockRange);
+      }
+    }
+
+    return logs.map((log) => ({
+      address: contract.address,
+      event,
+      blockNumber: log.blockNumber,
+      logIndex: log.logIndex,
+      transactionHash: log.transactionHash,
+      args: Object.fromEntries(
+        log.eventFragment.inputs.map((input, i) => [input.name, toPlain(log.args[i])])
+      ),
+    }));
+  },
+
+  getBlockNumber: () => provider.getBlockNumber(),
+
+  async getBlock(number) {
+    const { timestamp } = await provider.getBlock(number);
+    return { number, timestamp };
+  },
+
+  async balanceOf(token, holder, blockTag = "latest") {
+    const contract = new ethers.Contract(token, tokenAbi, provider);
+    return contract.balanceOf(holder, { blockTag }).then((b) => b.toString());
+  },
+
+  async call({ address, abi, method, args = [], blockTag = "latest" }) {
+    const contract = new ethers.Contract(address, abi, provider);
+    return toPlain(await contract[method](...args, { blockTag }));
+  },
+});
+
+export const createFileEventSource = async (path) => {
+  const raw = await fs.promises.readFile(path, "utf8");
+  const records = path.endsWith(".ndjson")
+    ? raw
+        .split("\n")
+        .filter((line) => line.trim() !== "")
+        .map((line) => JSON.parse(line))
+    : JSON.parse(raw);
+
+  const events = records.filter((r) => r.type === "event");
+  const balances = records.filter((r) => r.type === "balance");
+  const calls = records.filter((r) => r.type === "call");
+  const blocks = new Map(records.filter((r) => r.type === "block").map((r) => [r.number, r]));
+  const head = records.filter((r) => r.type === "head").reduce((acc, r) => Math.max(acc, r.blockNumber), -1);
+  if (head === -1) throw new Error(`${path}: event dump has no "head" record`);
+
+  return {
+    async getEvents({ address, event, fromBlock = 0, toBlock = "latest" }) {
+      const to = toBlock === "latest" ? head : toBlock;
+      return sortEvents(
+        events.filter(
+          (e) =>
+            e.event === event &&
+            sameAddress(e.address, address) &&
+            e.blockNumber >= fromBlock &&
+            e.blockNumber <= to
+        )
+      );
+    },
+
+    getBlockNumber: async () => head,
+
+    async getBlock(number) {
+      if (!blocks.has(number)) throw new Error(`${path}: no header for block ${number}`);
+      const { timestamp } = blocks.get(number);
+      return { number, timestamp };
+    },
+
+    async balanceOf(token, holder, blockTag = "latest") {
+      const record = balances.find(
+        (b) =>
+          sameAddress(b.token, token) &&
+          sameAddress(b.holder, holder) &&
+          String(b.blockTag) === String(blockTag)
+      );
+      if (!record) throw new Error(`${path}: no balance of ${token} for ${holder} at ${blockTag}`);
+      return record.balance;
+    },
+
+    async call({ address, method, args = [], blockTag = "latest" }) {
+      const record = calls.find(
+        (c) =>
+          sameAddress(c.address, address) &&
+          c.method === method &&
+          JSON.stringify(c.args).toLowerCase() === JSON.stringify(args).toLowerCase() &&
+          String(c.blockTag) === String(blockTag)
+      );
+      if (!record)
+        throw new Error(`${path}: no ${method}(${args.join(", ")}) call on ${address} at ${blockTag}`);
+      return record.result;
+    },
+  };
+};
+
+// Wraps a source and keeps every record it serves, so a run can be replayed with `createFileEventSource`.
+export const recordingEventSource = (source) => {
+  const records = new Map();
+
+  return {
+    async getEvents(query) {
+      const events = await source.getEvents(query);
+      for (const e of events)
+        records.set(`event:${e.transactionHash}:${e.logIndex}`, { type: "event", ...e });
+      return events;
+    },
+
+    async getBlockNumber() {
+      const blockNumber = await source.getBlockNumber();
+      records.set("head", { type: "head", blockNumber });
+      return blockNumber;
+    },
+
+    async getBlock(number) {
+      const block = await source.getBlock(number);
+      records.set(`block:${number}`, { type: "block", ...block });
+      return block;
+    },
+
+    async balanceOf(token, holder, blockTag = "latest") {
+      const balance = await source.balanceOf(token, holder, blockTag);
+      records.set(`balance:${token}:${holder}:${blockTag}`, {
+        type: "balance",
+        token,
+        holder,
+        blockTag,
+        balance,
+      });
+      return balance;
+    },
+
+    async call(query) {
+      const { address, method, args = [], blockTag = "latest" } = query;
+      const result = await source.call(query);
+      records.set(`call:${address}:${method}:${JSON.stringify(args)}:${blockTag}`, {
+        type: "call",
+        address,
+        method,
+        args,
+        blockTag,
+        result,
+      });
+      return result;
+    },
+
+    records: () => [...records.values()],
+  };
+};
+
+export const writeEventDump = async (path, records) => {
+  const content = path.endsWith(".ndjson")
+    ? records.map((r) => JSON.stringify(r)).join("\n") + "\n"
+    : JSON.stringify(records, null, 2);
+  await fs.promises.writeFile(path, content);
+};
@@ -0,0 +1,45 @@
+// Addresses that must not earn rewards, e.g. protocol contracts and multisigs holding YTs.
+//
+// Global exclusions live in `./exclusions.json` and epochs may add their own under `exclude` (see `epochs.js`).
+// Both are lists of addresses or `{ address, label }` objects. Excluded holders are removed from the scores
+// before allocation, so their share goes to the remaining holders pro-rata.
+import ethers from "ethers";
+import * as fs from "fs";
+import { sumScores } from "./scores.js";
+
+export const EXCLUSIONS_FILENAME = "./exclusions.json";
+
+// Returns `{ [checksummed address]: label }`
+export const parseExclusions = (entries, source = "exclusions") =>
+  Object.fromEntries(
+    entries.map((entry, i) => {
+      const { address, label = null } = typeof entry === "string" ? { address: entry } : entry;
+      try {
+        return [ethers.utils.getAddress(address), label];
+      } catch {
+        throw new Error(`${source}: entry ${i} "${address}" is not a valid address`);
+      }
+    })
+  );
+
+export const loadExclusions = async (path = EXCLUSIONS_FILENAME) =>
+  parseExclusions(JSON.parse(await fs.promises.readFile(path, "utf8")), path);
+
+// Splits `scores` (see `scores.js`) into the eligible holders' scores and a report of the excluded holders,
+// `{ [address]: { label, share } }` where `share` is the fraction of the total score they held.
+export const applyExclusions = (scores, exclusions) => {
+  const totalScore = sumScores(scores);
+
+  const eligible = {};
+  const excluded = {};
+  for (const [user, entry] of Object.entries(scores)) {
+    const address = ethers.utils.getAddress(user);
+    if (address in exclusions) {
+      if (!entry.score.isZero())
+        excluded[address] = { label: exclusions[address], share: entry.score.div(totalScore).toFixed() };
+    } else {
+      eligible[user] = entry;
+    }
+  }
+  return { scores: eligible, excluded };
+};
@@ -8,157 +8,437 @@
 // where t_i is the ith period of time the user held a_i YTs during the epoch.
 // A period of time is defined as the amount of blocks the user held the YTs.
 // If the user held the YTs for 100 blocks, then t_i = 100.
+// YTs stop counting once their series matures or is settled (see `series.js`).
+// Adapters accruing other reward tokens split each of them over the same scores.
 import ethers from "ethers";
-import Decimal from "decimal.js";
+import Decimal from "./math.js";
 import * as dotenv from "dotenv";
 import * as fs from "fs";
+import { createBlockResolver, toISOString } from "./blocks.js";
+import { breakdownRows, writeBreakdown } from "./breakdown.js";
+import { DIVIDER_EVENTS, crossCheckSeries } from "./crossCheck.js";
+import { createProviderEventSource, sortEvents } from "./eventSources.js";
+import { normalizePot, resolvePot } from "./pots.js";
 import { computeMerkleTree } from "./merkleTree.js";
+import {
+  MORPHO_TOKEN,
+  addAmounts,
+  adapterRecordOf,
+  amountsOf,
+  readProofsFile,
+  tokenSectionsOf,
+} from "./proofs.js";
+import { loadDue, reconcileDue } from "./reconcile.js";
+import { applyExclusions, loadExclusions, parseExclusions } from "./exclusions.js";
+import { LOOK_THROUGH_RESOLVERS, lookThrough } from "./lookThrough.js";
+import { applyRedirects, loadRedirects, parseRedirects } from "./redirects.js";
+import { allocate, computeScores, split, sumAmounts, sumScores, toTransfer } from "./scores.js";
+import { capTransfers, seriesCutoff, weighSeries } from "./series.js";
 
 import dividerAbi from "./abis/Divider.js";
 import tokenAbi from "./abis/Token.js";
 
 dotenv.config();
 
-const MIN_POT_PERCENTAGE = 0.001;
 const DIVIDER_ADDRESS = "0x86bA3E96Be68563E41c2f5769F1AF9fAf758e6E0";
-const MORPHO_TOKEN = "0x9994E35Db50125E0DF82e4c2dde62496CE330999";
-const PROOFS_FILENAME = "./proof.json";
-
-async function main(
-  adapterAddresses = ["0x880E5caBB22D24F3E278C4C760e763f239AccA95"], // Live WstETHAdapter default for easy testing
-  startBlock = 0, // Block from which to *start* determining the % of the pool each user has a right to, any YT holdings before this block are ignored
-  endBlock = Infinity, // Block from which to *stop* determining the % of the pool each user has a right to, any YT holdings after this block are ignored
-  simulatedRun = true
+
+export const alchemyEventSource = () =>
+  createProviderEventSource(new ethers.providers.AlchemyProvider("homestead", process.env.ALCHEMY_KEY));
+
+// Runs the rewards computation for an epoch config (see `epochs.js`).
+export async function main(
+  {
+    epoch, // Name of the epoch (e.g. "age5-epoch1"), written to the proofs file
+    startBlock = 0, // Block from which to *start* determining the % of the pool each user has a right to, any YT holdings before this block are ignored
+    endBlock = null, // Block from which to *stop* determining the % of the pool each user has a right to, any YT holdings after this block are ignored. Defaults to the latest block
+    startTime, // UTC timestamp resolved to `startBlock` (see `blocks.js`)
+    endTime, // UTC timestamp resolved to `endBlock`
+    adapters, // [{ address, pot, rewards, startBlock, endBlock, startTime, endTime, seriesWeights }], `pot` (see `pots.js`) defaults to the adapter's MORPHO balance and the window to the epoch's. `rewards` lists the `{ token, pot }` of every reward token instead of a MORPHO `pot`
+    dust = { policy: "redistribute" }, // What happens to the share of holders below `MIN_POT_PERCENTAGE` (see `scores.js`)
+    rounding = "largest-remainder", // How wei left over by pro-rata splits are assigned (see `scores.js`)
+    tree = "per-token", // With several reward tokens, "per-token" builds one tree per token and "combined" a single tree of `(address, token, amount)` leaves (see `proofs.js`)
+    leafEncoding, // How leaves are encoded for the distributor contract (see `merkleTree.js`), by default `(address, amount)` or `(address, token, amount)` in combined trees
+    seriesWeights, // How the pot is split across series scored independently (see `series.js`), by default YTs of all series are pooled. Adapters may override it
+    previous, // Proofs file of the previous epoch: its amounts are carried over into this epoch's cumulative tree and its rolled over dust is added to fixed and balance delta pots
+    due, // `{ file, coveredBy }`: outstanding balances to pay (see `reconcile.js`) and the earlier proofs files that may already cover them
+    crossCheck = false, // Checks YT transfers against the Divider's events and refuses to write the proofs if they don't match (see `crossCheck.js`)
+    lookThrough: lookThroughHolders = [], // [{ holder, type, ... }]: contracts whose score is re-attributed to their depositors (see `lookThrough.js`)
+    exclude = [], // Addresses excluded from rewards this epoch, on top of the global exclusions (see `exclusions.js`)
+    redirects = [], // Holders whose rewards this epoch go to a beneficiary, on top of the global redirects (see `redirects.js`)
+    output = "./proof.json", // Where to write the proofs file, `null` to only return them
+    breakdown, // Where to write the per-user breakdown of the run, as `<breakdown>.json` and `<breakdown>.csv` (see `breakdown.js`)
+  },
+  {
+    simulatedRun = true, // Uses a fake pot for adapters without one and prints the proofs instead of writing them
+    source = alchemyEventSource(), // Where events and balances are read from (see `eventSources.js`)
+  } = {}
 ) {
+  const exclusions = { ...(await loadExclusions()), ...parseExclusions(exclude, "exclude") };
+  const redirections = { ...(await loadRedirects()), ...parseRedirects(redirects, "redirects") };
+
+  // Rights of every user per reward token and adapter
   const rights = {};
+  const rows = [];
+  // The window and pot each adapter was scored with, recorded alongside the proofs
+  const windows = {};
 
-  const provider = new ethers.providers.AlchemyProvider("homestead", process.env.ALCHEMY_KEY);
-  const divider = new ethers.Contract(DIVIDER_ADDRESS, dividerAbi, provider);
-  const morphoToken = new ethers.Contract(MORPHO_TOKEN, tokenAbi, provider);
+  const currentBlock = await source.getBlockNumber();
+  const clamp = (block) => (block === null || currentBlock < block ? currentBlock : block);
+  const resolveBlock = createBlockResolver(source, currentBlock);
+  // Times that haven't been reached yet resolve to the current block
+  const resolveTime = async (time) => (await resolveBlock(time)) ?? currentBlock;
 
-  const logs = await divider
-    .queryFilter(divider.filters.SeriesInitialized(null, null, null, null, null, null))
-    .then((logs) => logs.map((log) => divider.interface.parseLog(log).args));
+  if (startTime != null) startBlock = await resolveTime(startTime);
+  endBlock = clamp(endTime != null ? await resolveTime(endTime) : endBlock);
 
-  for (let adapterAddress of adapterAddresses) {
-    // Validate address
-    adapterAddress = ethers.utils.getAddress(adapterAddress);
+  // Adapters onboarded mid-epoch (or leaving early) may override the epoch's window
+  const resolved = [];
+  for (const adapter of adapters) {
+    resolved.push({
+      ...adapter,
+      // Validate address
+      address: ethers.utils.getAddress(adapter.address),
+      ...(adapter.rewards && {
+        rewards: adapter.rewards.map((reward) => ({
+          ...reward,
+          token: ethers.utils.getAddress(reward.token),
+        })),
+      }),
+      startBlock:
+        adapter.startTime != null ? await resolveTime(adapter.startTime) : adapter.startBlock ?? startBlock,
+      endBlock: clamp(
+        adapter.endTime != null ? await resolveTime(adapter.endTime) : adapter.endBlock ?? endBlock
+      ),
+      startTime: adapter.startTime ?? (adapter.startBlock == null ? startTime : undefined),
+      endTime: adapter.endTime ?? (adapter.endBlock == null ? endTime : undefined),
+    });
+  }
+  adapters = resolved;
 
-    rights[adapterAddress] = {};
+  // The exact inputs of this run, recorded alongside the proofs
+  const config = {
+    epoch,
+    startBlock,
+    endBlock,
+    startTime,
+    endTime,
+    adapters,
+    exclude,
+    redirects,
+    dust,
+    rounding,
+    tree,
+    leafEncoding,
+    seriesWeights,
+    crossCheck,
+    lookThrough: lookThroughHolders,
+    previous,
+    due,
+    breakdown,
+  };
 
-    const series = logs.filter((log) => log.adapter === adapterAddress);
+  const previousProofs = previous ? await readProofsFile(previous) : null;
+  const rolledOverOf = (adapter, token) => {
+    const dust = previousProofs && adapterRecordOf(previousProofs, adapter, token)?.dust;
+    return dust?.policy === "rollover" ? dust.amount : 0;
+  };
 
-    const ytTokens = series.map((s) => new ethers.Contract(s.yt, tokenAbi, provider));
+  // Adapters without `rewards` only distribute MORPHO. Files of MORPHO-only runs keep their original layout.
+  // Tokens the previous epoch distributed stay in the cumulative tree even if no adapter pays them anymore
+  const rewardsOf = (adapter) => adapter.rewards ?? [{ token: MORPHO_TOKEN, pot: adapter.pot }];
+  const tokens = [
+    ...new Set([
+      ...adapters.flatMap((adapter) => rewardsOf(adapter).map(({ token }) => token)),
+      ...(previousProofs ? Object.keys(tokenSectionsOf(previousProofs)) : []),
+    ]),
+  ];
+  const grouped = tree === "combined" || tokens.length > 1 || tokens[0] !== MORPHO_TOKEN;
+  const tokenName = (token) => (token === MORPHO_TOKEN ? "morpho" : token);
 
-    const aggregatedTransfers = await Promise.all(
-      ytTokens.map((yt) => yt.queryFilter(yt.filters.Transfer(null, null, null)))
-    ).then((t) =>
-      t
-        .flat()
-        .sort((a, b) => a.blockNumber - b.blockNumber) // sort ASC
-        .map((t) => ({ ...t.args, amount: new Decimal(t.args.amount.toString()), block: t.blockNumber }))
-    );
+  // Nothing after the last adapter's end block can affect the epoch, so logs are only fetched up to it
+  const lastBlock = Math.max(...adapters.map((a) => a.endBlock));
+  const logs = await source
+    .getEvents({
+      address: DIVIDER_ADDRESS,
+      abi: dividerAbi,
+      event: "SeriesInitialized",
+      toBlock: lastBlock,
+    })
+    .then((logs) => logs.map((log) => log.args));
+  const settlements = await source.getEvents({
+    address: DIVIDER_ADDRESS,
+    abi: dividerAbi,
+    event: "SeriesSettled",
+    toBlock: lastBlock,
+  });
+  const dividerEvents = {};
+  if (crossCheck) {
+    for (const event of DIVIDER_EVENTS) {
+      dividerEvents[event] = await source.getEvents({
+        address: DIVIDER_ADDRESS,
+        abi: dividerAbi,
+        event,
+        toBlock: lastBlock,
+      });
+    }
+  }
+  const issues = [];
 
-    // Calculate scores (representations of the balance of YTs held by a user * the amount of time they held them)
-    // via checkpoints on each transfer. e.g.
-    // * transfer 50 YTs to user for the first time on block 100 -> checkpoint 1 = 50 YTs, block 100; score = 0
-    // * transfer 50 YTs to user on block 200 -> checkpoint 2 = 100 YTs, block 200; score = 50 * (200 - 100) = 5000
-    const scores = {};
-    for (const { from, to, amount, block } of aggregatedTransfers) {
-      if (to !== ethers.constants.AddressZero) {
-        // AddressZero is the burn address
-        if (scores[to]) {
-          const { prevCheckpoint, score } = scores[to];
-          if (startBlock > prevCheckpoint.block) {
-            // If the previous checkpoint is before the start block but the current block is after,
-            // then we accrue rewards for the user based on the balance they held from exactly the
-            // start block to the current block.
-            if (startBlock < block) {
-              scores[to].score = score.plus(prevCheckpoint.amount.times(block - startBlock));
-            }
-          } else {
-            // If the previous checkpoint is after the start block, then we accrue rewards for the user from the
-            // previous checkpoint block to the current block.
-            scores[to].score = score.plus(prevCheckpoint.amount.times(block - prevCheckpoint.block));
-          }
-
-          // Regardless of the above, we update the `prevCheckpoint` to the current block and amount.
-          scores[to].prevCheckpoint = { amount: prevCheckpoint.amount.plus(amount), block };
-        } else {
-          // If the user doesn't have a score yet, then we init them at zero and set the `prevCheckpoint` to the current block and amount.
-          scores[to] = { score: new Decimal(0), prevCheckpoint: { amount, block } };
-        }
+  // Share transfers of look-through holders, fetched once for all adapters
+  const shares = {};
+  const sharesOf = async (entry) =>
+    (shares[entry.holder] ??= await LOOK_THROUGH_RESOLVERS[entry.type](entry, {
+      source,
+      toBlock: lastBlock,
+    }));
+
+  for (const adapter of adapters) {
+    const { address: adapterAddress, startBlock, endBlock, startTime, endTime } = adapter;
+    const weighting = adapter.seriesWeights ?? seriesWeights;
+    const series = logs.filter((log) => ethers.utils.getAddress(log.adapter) === adapterAddress);
+
+    // Series that matured or were settled before the end of the window stop accruing at that point
+    const cutoffs = {};
+    for (const s of series) {
+      const cutoff = await seriesCutoff(s, settlements, resolveBlock);
+      if (cutoff && cutoff.block < endBlock) {
+        cutoffs[s.yt] = cutoff;
+        console.log(`series ${s.yt} stops accruing at block ${cutoff.block} (${cutoff.reason})`);
       }
+    }
 
-      // AddressZero is the mint address
-      if (scores[from] && from !== ethers.constants.AddressZero) {
-        const { prevCheckpoint, score } = scores[from];
-        if (startBlock > prevCheckpoint.block) {
-          if (startBlock < block) {
-            scores[from].score = score.plus(prevCheckpoint.amount.times(block - startBlock));
-          }
-        } else {
-          scores[from].score = score.plus(prevCheckpoint.amount.times(block - prevCheckpoint.block));
-        }
-        scores[from].prevCheckpoint = { amount: prevCheckpoint.amount.minus(amount), block };
+    const ytTransfers = {};
+    for (const s of series) {
+      ytTransfers[s.yt] = await source.getEvents({
+        address: s.yt,
+        abi: tokenAbi,
+        event: "Transfer",
+        toBlock: endBlock,
+      });
+      if (crossCheck) {
+        const settlement = settlements.find(
+          ({ args }) =>
+            ethers.utils.getAddress(args.adapter) === adapterAddress && args.maturity === s.maturity
+        );
+        issues.push(
+          ...crossCheckSeries(s, ytTransfers[s.yt], dividerEvents, {
+            toBlock: endBlock,
+            settledAt: settlement?.blockNumber,
+          })
+        );
       }
     }
 
-    // Accrue scores up to min(currentBlock, endBlock)
-    const currentBlock = await provider.getBlockNumber();
-    endBlock = currentBlock < endBlock ? currentBlock : endBlock;
-    for (const [user, { score, prevCheckpoint }] of Object.entries(scores)) {
-      scores[user].score = score.plus(prevCheckpoint.amount.times(endBlock - prevCheckpoint.block));
-      scores[user].prevCheckpoint.block = endBlock;
+    // YTs of all series are pooled and treated as fungible, unless series are weighted against each other
+    const pools = [];
+    for (const group of weighting ? series.map((s) => [s]) : [series]) {
+      const transfers = sortEvents(
+        group.flatMap((s) =>
+          cutoffs[s.yt] ? capTransfers(ytTransfers[s.yt], cutoffs[s.yt]) : ytTransfers[s.yt]
+        )
+      ) // sort ASC
+        .map(toTransfer);
+      let scores = computeScores(transfers, { startBlock, endBlock });
+      for (const entry of lookThroughHolders) {
+        if (scores[entry.holder])
+          scores = lookThrough(scores, entry.holder, await sharesOf(entry), { startBlock, endBlock });
+      }
+      pools.push({
+        series: weighting ? group[0] : null,
+        cutoffs: group.filter((s) => cutoffs[s.yt]).map((s) => ({ series: s.yt, ...cutoffs[s.yt] })),
+        ...applyExclusions(scores, exclusions),
+      });
     }
 
-    const totalScore = Object.values(scores).reduce((acc, { score }) => acc.plus(score), new Decimal(0));
+    // Series weights don't depend on the token, so every reward token is split the same way
+    const weights = weighting
+      ? await weighSeries(pools, weighting, { source, divider: DIVIDER_ADDRESS, blockTag: endBlock })
+      : {};
+    const totalWeight = sumScores(weights);
+
+    const tokenWindows = {};
+    for (const { token, pot } of rewardsOf(adapter)) {
+      const name = tokenName(token);
+      const totalAvailable =
+        pot == null && simulatedRun
+          ? new Decimal(1337).times("1e18")
+          : await resolvePot(normalizePot(pot), {
+              adapter: adapterAddress,
+              startBlock,
+              endBlock,
+              rolledOver: rolledOverOf(adapterAddress, token),
+              token,
+              source,
+            });
+
+      console.log(
+        `adapter ${adapterAddress} has ${totalAvailable} ${name} to be distributed over blocks ${startBlock}-${endBlock}`
+      );
 
-    const totalAvailableMorpho = simulatedRun
-      ? new Decimal(1337).times("1e18")
-      : new Decimal(await morphoToken.balanceOf(adapterAddress).then((b) => b.toString()));
+      let pots = [totalAvailable];
+      if (weighting) {
+        if (totalWeight.isZero() && !totalAvailable.isZero())
+          throw new Error(`No holders to allocate ${totalAvailable} ${name} to`);
+        const amounts = totalWeight.isZero() ? {} : split(weights, totalAvailable, rounding);
+        pots = pools.map(({ series }) => amounts[series.maturity] ?? new Decimal(0));
+      }
+
+      const adapterRights = [];
+      const excluded = {};
+      const dustReport = { policy: dust.policy, holders: 0, amount: new Decimal(0) };
+      const seriesReport = [];
+      pools.forEach(({ series, cutoffs: poolCutoffs, scores, excluded: poolExcluded }, i) => {
+        const allocation = allocate(scores, pots[i], dust, { rounding });
+        adapterRights.push(allocation.rights);
+        rows.push(
+          ...breakdownRows(adapterAddress, scores, allocation.rights, { token, series, cutoffs: poolCutoffs })
+        );
+        dustReport.holders += allocation.dust.holders;
+        dustReport.amount = dustReport.amount.plus(allocation.dust.amount);
 
-    console.log(`adapter ${adapterAddress} has ${totalAvailableMorpho} morpho to be distributed`);
+        // What excluded holders would have received, now redistributed to eligible holders
+        for (const [address, entry] of Object.entries(poolExcluded)) {
+          const amount = pots[i].times(entry.share).toDecimalPlaces(0);
+          excluded[address] = series
+            ? { label: entry.label, amount: amount.plus(excluded[address]?.amount ?? 0).toFixed() }
+            : { ...entry, amount: amount.toFixed() };
+        }
+
+        if (series) {
+          seriesReport.push({
+            maturity: series.maturity,
+            yt: series.yt,
+            ...(cutoffs[series.yt] && { cutoff: cutoffs[series.yt] }),
+            weight: weights[series.maturity].score.toFixed(),
+            pot: pots[i].toFixed(),
+            distributed: sumAmounts(allocation.rights).toFixed(),
+          });
+        }
+      });
 
-    for (const [user, { score }] of Object.entries(scores)) {
-      const _score = score.div(totalScore);
-      if (_score.toNumber() > MIN_POT_PERCENTAGE)
-        rights[adapterAddress][user] = _score.times(totalAvailableMorpho).toDecimalPlaces(0).toString();
+      rights[token] ??= {};
+      rights[token][adapterAddress] = addAmounts(...adapterRights);
+      console.log(
+        `${dustReport.holders} holders below the minimum share, ${dustReport.amount} ${name} handled by the "${dust.policy}" dust policy`
+      );
+      for (const [address, { label, amount }] of Object.entries(excluded))
+        console.log(`excluded ${label ?? address}: ${amount} ${name} redistributed`);
+
+      tokenWindows[token] = {
+        pot: totalAvailable.toFixed(),
+        potSource: normalizePot(pot).source,
+        distributed: sumAmounts(rights[token][adapterAddress]).toFixed(),
+        ...(weighting && { seriesWeights: weighting, series: seriesReport }),
+        excluded,
+        dust: { ...dustReport, amount: dustReport.amount.toFixed() },
+      };
     }
+
+    windows[adapterAddress] = {
+      startBlock,
+      endBlock,
+      ...(startTime != null && { startTime: toISOString(startTime) }),
+      ...(endTime != null && { endTime: toISOString(endTime) }),
+      ...(grouped ? { tokens: tokenWindows } : tokenWindows[MORPHO_TOKEN]),
+    };
+  }
+  if (breakdown) {
+    await writeBreakdown(breakdown, rows);
+    console.log(`Breakdown written to ${breakdown}.json and ${breakdown}.csv`);
   }
 
-  const rewardsPerUser = Object.values(rights).reduce((acc, userRewards) => {
-    for (const [user, reward] of Object.entries(userRewards)) {
-      if (acc[user]) {
-        acc[user] = new Decimal(acc[user]).plus(reward).toString();
-      } else {
-        acc[user] = reward;
-      }
+  // This epoch's rewards, and what each user can claim in total once added to the previous epochs'
+  const sections = {};
+  for (const token of tokens) {
+    const { amounts: rewards, report: redirectReport } = applyRedirects(
+      addAmounts(...Object.values(rights[token] ?? {})),
+      redirections
+    );
+    for (const { holder, beneficiary, label, amount } of redirectReport)
+      console.log(`redirected ${amount} ${tokenName(token)} from ${label ?? holder} to ${beneficiary}`);
+    let rewardsPerUser = previousProofs ? addAmounts(amountsOf(previousProofs, token), rewards) : rewards;
+
+    // Outstanding balances are all MORPHO
+    let dueReport;
+    if (due && token === MORPHO_TOKEN) {
+      const earlierProofs = await Promise.all((due.coveredBy ?? []).map(readProofsFile));
+      if (previousProofs) earlierProofs.push(previousProofs);
+      const reconciliation = reconcileDue(rewardsPerUser, await loadDue(due.file), earlierProofs);
+      rewardsPerUser = reconciliation.amounts;
+      dueReport = reconciliation.report;
+      console.log(
+        `${dueReport.covered.length} due entries already covered, ${dueReport.merged.length} merged into the distribution`
+      );
     }
-    return acc;
-  });
 
-  const { root, proofs } = computeMerkleTree(
-    Object.entries(rewardsPerUser).map(([address, accumulatedRewards]) => ({ address, accumulatedRewards }))
-  );
+    sections[token] = {
+      rewards,
+      ...(redirectReport.length > 0 && { redirects: redirectReport }),
+      ...(dueReport && { due: dueReport }),
+      distribution: Object.entries(rewardsPerUser).map(([address, accumulatedRewards]) => ({
+        address,
+        accumulatedRewards,
+      })),
+    };
+  }
+
+  let root;
+  if (tree === "combined") {
+    const combined = computeMerkleTree(
+      tokens.flatMap((token) => sections[token].distribution.map((entry) => ({ ...entry, token }))),
+      { encoding: leafEncoding }
+    );
+    root = combined.root;
+    for (const token of tokens) {
+      const { distribution, ...section } = sections[token];
+      sections[token] = { ...section, proofs: combined.proofs[token] ?? {} };
+    }
+    console.log("Computed root: ", root);
+  } else {
+    for (const token of tokens) {
+      const { distribution, ...section } = sections[token];
+      const { root: tokenRoot, proofs } = computeMerkleTree(distribution, { encoding: leafEncoding });
+      sections[token] = { ...section, root: tokenRoot, proofs };
+      console.log(grouped ? `Computed root for ${token}: ` : "Computed root: ", tokenRoot);
+    }
+  }
+
+  const result = grouped
+    ? {
+        epoch,
+        config,
+        adapters: windows,
+        ...(previousProofs && { previous: { epoch: previousProofs.epoch, root: previousProofs.root } }),
+        tree,
+        ...(leafEncoding && { leafEncoding }),
+        ...(root != null && { root }),
+        tokens: sections,
+      }
+    : {
+        epoch,
+        config,
+        adapters: windows,
+        ...(previousProofs && { previous: { epoch: previousProofs.epoch, root: previousProofs.root } }),
+        ...(leafEncoding && { leafEncoding }),
+        ...sections[MORPHO_TOKEN],
+      };
+
+  if (issues.length > 0) {
+    const report = `${issues.length} inconsistencies between YT transfers and Divider events:\n${issues
+      .map((issue) => `  ${issue}`)
+      .join("\n")}`;
+    if (!simulatedRun) throw new Error(`Refusing to publish, ${report}`);
+    console.log(report);
+  }
 
-  console.log("Computed root: ", root);
+  if (output === null) return result;
 
   if (simulatedRun) {
-    console.log("Computed proof: ", proofs);
+    console.log("Computed proof: ", grouped ? result.tokens : result.proofs);
   } else {
-    await fs.promises.writeFile(PROOFS_FILENAME, JSON.stringify({ root, proofs }, null, 2));
+    await fs.promises.writeFile(output, JSON.stringify(result, null, 2));
+    console.log(`Proofs written to ${output}`);
   }
-}
 
-// Modify as needed
-main(
-  [
-    "0x529c90E6d3a1AedaB9B3011196C495439D23b893", // maUSDC
-    "0x8c5e7301a012DC677DD7DaD97aE44032feBCD0FD", // maUSDT
-    "0x9887e67AaB4388eA4cf173B010dF5c92B91f55B5", // maDAI
-  ],
-  0,
-  Infinity,
-  false
-);
+  return result;
+}
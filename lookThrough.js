@@ -0,0 +1,101 @@
+// Look-through attribution for YTs held by contracts on behalf of depositors, e.g. Space pools and vaults.
+//
+// Such contracts show up as a single holder in the YT transfers and would collect their depositors' rewards.
+// For every holder listed under `lookThrough` (see `epochs.js`), a resolver returns the movements of the
+// depositors' shares in the contract, and the contract's score is re-attributed to the depositors pro-rata to
+// the shares they held at every block. Resolvers are keyed by `type`:
+// * "erc20-shares": depositors hold the ERC20 `token`, by default the holder itself (e.g. a Space pool's LP
+//   token)
+//
+// Score accrued while no shares exist stays with the holder, and depositors that are themselves look-through
+// holders aren't resolved further.
+import ethers from "ethers";
+import Decimal from "./math.js";
+import { sortEvents } from "./eventSources.js";
+import { toTransfer } from "./scores.js";
+
+import tokenAbi from "./abis/Token.js";
+
+// Resolvers return the share transfers of a holder up to `toBlock`, as `{ from, to, amount, block }` objects
+// sorted by block with checksummed addresses and `amount` a Decimal.
+export const LOOK_THROUGH_RESOLVERS = {
+  "erc20-shares": async ({ holder, token = holder }, { source, toBlock }) =>
+    sortEvents(await source.getEvents({ address: token, abi: tokenAbi, event: "Transfer", toBlock })).map(
+      toTransfer
+    ),
+};
+
+// Re-attributes the score `holder` accrued in `scores` (see `scores.js`) between `startBlock` and `endBlock`
+// to the holders of its `shares` (see `LOOK_THROUGH_RESOLVERS`). Depositors' entries list what they got
+// through each holder under `lookThrough`. Returns the updated scores.
+export const lookThrough = (scores, holder, shares, { startBlock = 0, endBlock }) => {
+  const entry = scores[holder];
+  if (!entry || entry.score.isZero()) return scores;
+
+  // Score accrued by the holder per share since the first block, so that a depositor's score over a period
+  // during which their shares didn't change is their shares times the increase of `perShare`
+  let perShare = new Decimal(0);
+  let balance = new Decimal(0);
+  let totalShares = new Decimal(0);
+  let last = 0;
+  const advance = (block) => {
+    const blocks = Math.min(block, endBlock) - Math.max(last, startBlock);
+    if (blocks > 0 && !totalShares.isZero()) perShare = perShare.plus(balance.times(blocks).div(totalShares));
+    last = block;
+  };
+
+  const depositors = {};
+  const settle = (user) => {
+    const depositor = (depositors[user] ??= { shares: new Decimal(0), perShare, score: new Decimal(0) });
+    depositor.score = depositor.score.plus(depositor.shares.times(perShare.minus(depositor.perShare)));
+    depositor.perShare = perShare;
+    return depositor;
+  };
+
+  const changes = [
+    ...entry.checkpoints.map(({ amount, block }) => ({ balance: amount, block })),
+    ...shares.map((transfer) => ({ transfer, block: transfer.block })),
+  ].sort((a, b) => a.block - b.block);
+  for (const { balance: newBalance, transfer, block } of changes) {
+    advance(block);
+    if (!transfer) {
+      balance = newBalance;
+      continue;
+    }
+    const { from, to, amount } = transfer;
+    if (from === ethers.constants.AddressZero) {
+      totalShares = totalShares.plus(amount);
+    } else {
+      const sender = settle(from);
+      sender.shares = sender.shares.minus(amount);
+    }
+    if (to === ethers.constants.AddressZero) {
+      totalShares = totalShares.minus(amount);
+    } else {
+      const recipient = settle(to);
+      recipient.shares = recipient.shares.plus(amount);
+    }
+  }
+  advance(endBlock);
+
+  const attributions = Object.keys(depositors)
+    .map((user) => [user, settle(user).score])
+    .filter(([, score]) => !score.isZero());
+  const attributed = attributions.reduce((acc, [, score]) => acc.plus(score), new Decimal(0));
+
+  // Depositors can't get more than the holder accrued, up to rounding
+  const result = { ...scores, [holder]: { ...entry, score: Decimal.max(entry.score.minus(attributed), 0) } };
+  for (const [user, score] of attributions) {
+    const existing = result[user] ?? {
+      score: new Decimal(0),
+      prevCheckpoint: { amount: new Decimal(0), block: 0 },
+      checkpoints: [],
+    };
+    result[user] = {
+      ...existing,
+      score: existing.score.plus(score),
+      lookThrough: [...(existing.lookThrough ?? []), { holder, score }],
+    };
+  }
+  return result;
+};
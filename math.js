@@ -0,0 +1,8 @@
+// Decimal configured for this repo: scores and wei amounts are integers well beyond Decimal's default
+// 20 significant digits, and must print without exponents. Import Decimal from here rather than from
+// "decimal.js" directly.
+import Decimal from "decimal.js";
+
+Decimal.set({ precision: 80, toExpPos: 80 });
+
+export default Decimal;
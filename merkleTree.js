@@ -1,21 +1,115 @@
 import { ethers } from "ethers";
 import { MerkleTree } from "merkletreejs";
+import Decimal from "./math.js";
 
-export const computeMerkleTree = (distribution) => {
-  const leaves = distribution.map(({ address, accumulatedRewards }) =>
-    ethers.utils.solidityKeccak256(["address", "uint256"], [address, accumulatedRewards])
+export const computeLeaf = (address, amount) =>
+  ethers.utils.solidityKeccak256(["address", "uint256"], [address, amount]);
+
+const needsToken = (encoding, token) => {
+  if (token == null) throw new Error(`"${encoding}" leaves need a token`);
+};
+const noToken = (encoding, token) => {
+  if (token != null) throw new Error(`"${encoding}" leaves can't hold a token, use "address-token-amount"`);
+};
+
+// Leaf encodings of the distributor contracts trees may target, as functions of an `{ index, address, token,
+// amount }` entry, `index` being its position in the tree and `token` only set in trees of several tokens:
+// * "address-amount": `keccak256(abi.encodePacked(account, amount))`, the default
+// * "index-address-amount": `keccak256(abi.encodePacked(index, account, amount))`, as in Uniswap's
+//   `MerkleDistributor`
+// * "address-token-amount": `keccak256(abi.encodePacked(account, token, amount))`, the default of trees of
+//   several tokens
+// * "openzeppelin": `keccak256(bytes.concat(keccak256(abi.encode(account, amount))))`, or of
+//   `(account, token, amount)` with a token, as in OpenZeppelin's `StandardMerkleTree`
+// Every tree hashes sorted pairs, so proofs verify with OpenZeppelin's `MerkleProof` too.
+export const LEAF_ENCODINGS = {
+  "address-amount": ({ address, token, amount }) => {
+    noToken("address-amount", token);
+    return computeLeaf(address, amount);
+  },
+  "index-address-amount": ({ index, address, token, amount }) => {
+    noToken("index-address-amount", token);
+    return ethers.utils.solidityKeccak256(["uint256", "address", "uint256"], [index, address, amount]);
+  },
+  "address-token-amount": ({ address, token, amount }) => {
+    needsToken("address-token-amount", token);
+    return ethers.utils.solidityKeccak256(["address", "address", "uint256"], [address, token, amount]);
+  },
+  openzeppelin: ({ address, token, amount }) =>
+    ethers.utils.keccak256(
+      ethers.utils.keccak256(
+        token != null
+          ? ethers.utils.defaultAbiCoder.encode(["address", "address", "uint256"], [address, token, amount])
+          : ethers.utils.defaultAbiCoder.encode(["address", "uint256"], [address, amount])
+      )
+    ),
+};
+
+// Encodings whose proofs must carry the leaf's index, and those able to encode a token
+export const INDEXED_ENCODINGS = ["index-address-amount"];
+export const TOKEN_ENCODINGS = ["address-token-amount", "openzeppelin"];
+
+export const defaultEncoding = (withTokens) => (withTokens ? "address-token-amount" : "address-amount");
+
+export const computeEncodedLeaf = (encoding, entry) => {
+  if (!(encoding in LEAF_ENCODINGS)) throw new Error(`Unknown leaf encoding "${encoding}"`);
+  return LEAF_ENCODINGS[encoding](entry);
+};
+
+export const verifyProof = (proof, leaf, root) =>
+  MerkleTree.verify(proof, leaf, root, ethers.utils.keccak256, { sortPairs: true });
+
+// Checksums addresses and tokens and handles accounts listed more than once (for the same token), which would
+// otherwise get one leaf per spelling: "merge" sums their amounts, "reject" throws.
+const canonicalize = (distribution, duplicates) => {
+  const entries = {};
+  const rejected = new Set();
+  for (const { address, token, accumulatedRewards } of distribution) {
+    const account = ethers.utils.getAddress(address);
+    const amount = new Decimal(accumulatedRewards);
+    if (!amount.isInteger() || amount.isNegative())
+      throw new Error(`${address}: amount ${accumulatedRewards} is not a non-negative integer`);
+
+    const entry = { address: account, ...(token != null && { token: ethers.utils.getAddress(token) }) };
+    const key = `${entry.token ?? ""}:${account}`;
+    if (entries[key] && duplicates === "reject")
+      rejected.add(token != null ? `${account} (${token})` : account);
+    entries[key] = { ...entry, amount: amount.plus(entries[key]?.amount ?? 0) };
+  }
+  if (rejected.size > 0) throw new Error(`Duplicate addresses in distribution: ${[...rejected].join(", ")}`);
+
+  return Object.values(entries).map(({ amount, ...entry }) => ({
+    ...entry,
+    accumulatedRewards: amount.toFixed(),
+  }));
+};
+
+// Builds the tree of `(address, amount)` leaves, or of `(address, token, amount)` leaves when entries have a
+// `token`, in which case proofs are grouped by token. Addresses are checksummed and leaves sorted by token
+// and address, so the same distribution always produces the same root and proofs regardless of input order
+// or casing. `sort: false` keeps the input order, which only matters to rebuild trees published before
+// leaves were sorted. `encoding` picks another leaf encoding (see `LEAF_ENCODINGS`), in which case proofs of
+// indexed encodings list the `index` of their leaf.
+export const computeMerkleTree = (distribution, { duplicates = "reject", sort = true, encoding } = {}) => {
+  distribution = canonicalize(distribution, duplicates);
+  const sortKey = ({ address, token = "" }) => `${token}:${address}`.toLowerCase();
+  if (sort) distribution.sort((a, b) => (sortKey(a) < sortKey(b) ? -1 : 1));
+
+  encoding ??= defaultEncoding(distribution.some(({ token }) => token != null));
+  const leaves = distribution.map(({ address, token, accumulatedRewards }, index) =>
+    computeEncodedLeaf(encoding, { index, address, token, amount: accumulatedRewards })
   );
   const merkleTree = new MerkleTree(leaves, ethers.utils.keccak256, {
     sortPairs: true,
   });
 
   const proofs = {};
-  distribution.forEach(({ address, accumulatedRewards }) => {
-    proofs[address] = {
-      amount: accumulatedRewards,
-      proof: merkleTree.getHexProof(
-        ethers.utils.solidityKeccak256(["address", "uint256"], [address, accumulatedRewards])
-      ),
+  distribution.forEach((entry, index) => {
+    const group = entry.token != null ? (proofs[entry.token] ??= {}) : proofs;
+    group[entry.address] = {
+      ...(INDEXED_ENCODINGS.includes(encoding) && { index }),
+      amount: entry.accumulatedRewards,
+      proof: merkleTree.getHexProof(leaves[index], index),
     };
   });
   const root = merkleTree.getHexRoot();
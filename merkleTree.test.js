@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LEAF_ENCODINGS, computeMerkleTree, verifyProof } from "./merkleTree.js";
+
+const ALICE = "0x000000000000000000000000000000000000000A";
+const BOB = "0x000000000000000000000000000000000000000b";
+const CAROL = "0x000000000000000000000000000000000000000C";
+const TOKEN = "0x9994E35Db50125E0DF82e4c2dde62496CE330999";
+
+// Leaves hashed by hand from the contracts' encodings of (index 7, ALICE, TOKEN, 1000)
+test("index-address-amount leaves are Uniswap MerkleDistributor's", () => {
+  assert.equal(
+    LEAF_ENCODINGS["index-address-amount"]({ index: 7, address: ALICE, amount: "1000" }),
+    "0x585cf3e52090a14416eb569f640ffc73d59909438d6c29c9ff14bc89e24f97b5"
+  );
+});
+
+test("address-token-amount leaves pack the token between account and amount", () => {
+  assert.equal(
+    LEAF_ENCODINGS["address-token-amount"]({ address: ALICE, token: TOKEN, amount: "1000" }),
+    "0x4c12a82879e5233ac54447e475021cea1cba4a6121fd2784b02fdd1347a67a77"
+  );
+});
+
+test("openzeppelin leaves are StandardMerkleTree's, with or without a token", () => {
+  assert.equal(
+    LEAF_ENCODINGS.openzeppelin({ address: ALICE, amount: "1000" }),
+    "0x14e923613d77c50e4a9cd5866cfa1b60a99b5de771498bcfac1402d35a1615bf"
+  );
+  assert.equal(
+    LEAF_ENCODINGS.openzeppelin({ address: ALICE, token: TOKEN, amount: "1000" }),
+    "0xb166f313dcbe0c2c9c4ea515759426a9bd952720d619f2ba8867b79d1a6bb306"
+  );
+});
+
+test("openzeppelin trees have the root of StandardMerkleTree's README example", () => {
+  const distribution = [
+    { address: "0x1111111111111111111111111111111111111111", accumulatedRewards: "5000000000000000000" },
+    { address: "0x2222222222222222222222222222222222222222", accumulatedRewards: "2500000000000000000" },
+  ];
+  assert.equal(
+    computeMerkleTree(distribution, { encoding: "openzeppelin" }).root,
+    "0xd4dee0beab2d53f2cc83e567171bd2820e49898130a22622b10ead383e90bd77"
+  );
+});
+
+const DISTRIBUTION = [
+  { address: ALICE, accumulatedRewards: "100" },
+  { address: BOB, accumulatedRewards: "250" },
+  { address: CAROL, accumulatedRewards: "75" },
+];
+
+test("shuffled or mixed-case input gives the same root and proofs", () => {
+  for (const encoding of ["address-amount", "index-address-amount", "openzeppelin"]) {
+    const tree = computeMerkleTree(DISTRIBUTION, { encoding });
+    const shuffled = [DISTRIBUTION[2], DISTRIBUTION[0], DISTRIBUTION[1]].map(({ address, ...entry }) => ({
+      ...entry,
+      address: address.toLowerCase(),
+    }));
+    const other = computeMerkleTree(shuffled, { encoding });
+    assert.equal(other.root, tree.root, encoding);
+    assert.deepEqual(other.proofs, tree.proofs, encoding);
+  }
+});
+
+test("proofs verify against the root, and list the leaf index for indexed encodings", () => {
+  const { root, proofs } = computeMerkleTree(DISTRIBUTION, { encoding: "index-address-amount" });
+  for (const [address, { index, amount, proof }] of Object.entries(proofs)) {
+    const leaf = LEAF_ENCODINGS["index-address-amount"]({ index, address, amount });
+    assert.ok(verifyProof(proof, leaf, root), address);
+  }
+});
+
+test("duplicate spellings of an account are rejected by default", () => {
+  const distribution = [...DISTRIBUTION, { address: BOB.toLowerCase(), accumulatedRewards: "1" }];
+  assert.throws(
+    () => computeMerkleTree(distribution),
+    new RegExp(`Duplicate addresses in distribution: ${BOB}`)
+  );
+});
+
+test("duplicate spellings of an account are summed when merged", () => {
+  const distribution = [...DISTRIBUTION, { address: BOB.toLowerCase(), accumulatedRewards: "1" }];
+  const { proofs } = computeMerkleTree(distribution, { duplicates: "merge" });
+  assert.equal(proofs[BOB].amount, "251");
+});
@@ -0,0 +1,44 @@
+// Where each adapter's pot comes from.
+//
+// An adapter's pot of each reward token (see `epochs.js`) is either an amount in wei or a `{ source, ... }` strategy:
+// * "fixed": `amount`, plus the dust the previous epoch rolled over
+// * "balance": the adapter's balance of the token at the latest block, the default
+// * "balance-delta": what the adapter received during its window, i.e. its balance at `endBlock` minus its
+//   balance at `startBlock`, plus the dust the previous epoch rolled over
+// * "undistributed": the adapter's balance at `endBlock` minus what the `proofs` files (earlier epochs computed
+//   by `main`, see `index.js`) distributed for it
+//
+// Balance-based pots already hold the rewards left undistributed by earlier epochs, rolled over dust included.
+import Decimal from "./math.js";
+import { adapterRecordOf, readProofsFile } from "./proofs.js";
+
+export const POT_SOURCES = ["fixed", "balance", "balance-delta", "undistributed"];
+
+export const normalizePot = (pot) =>
+  pot == null ? { source: "balance" } : typeof pot === "string" ? { source: "fixed", amount: pot } : pot;
+
+// Returns the pot of `adapter` in `token` as a Decimal, reading balances through `source`.
+export const resolvePot = async (pot, { adapter, startBlock, endBlock, rolledOver = 0, token, source }) => {
+  const balanceAt = async (blockTag) => new Decimal(await source.balanceOf(token, adapter, blockTag));
+
+  let amount;
+  if (pot.source === "fixed") {
+    amount = new Decimal(pot.amount).plus(rolledOver);
+  } else if (pot.source === "balance") {
+    amount = await balanceAt("latest");
+  } else if (pot.source === "balance-delta") {
+    amount = (await balanceAt(endBlock)).minus(await balanceAt(startBlock)).plus(rolledOver);
+  } else if (pot.source === "undistributed") {
+    amount = await balanceAt(endBlock);
+    for (const path of pot.proofs) {
+      const distributed = adapterRecordOf(await readProofsFile(path), adapter, token)?.distributed;
+      if (distributed == null) throw new Error(`${path} doesn't record what was distributed for ${adapter}`);
+      amount = amount.minus(distributed);
+    }
+  } else {
+    throw new Error(`Unknown pot source "${pot.source}"`);
+  }
+
+  if (amount.isNegative()) throw new Error(`The "${pot.source}" pot of ${adapter} is negative: ${amount}`);
+  return amount;
+};
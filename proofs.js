@@ -0,0 +1,62 @@
+// Reading and combining proofs files (`proof.*.json`).
+//
+// A proofs file holds `{ epoch, root, proofs: { [address]: { amount, proof } } }` where `amount` is the MORPHO
+// the address can claim in total from the distributor, across every epoch up to `epoch`. Files written by
+// `main` (see `index.js`) also record the inputs of the run and the rewards of that epoch alone.
+//
+// Runs distributing other reward tokens group everything by token instead, under
+// `tokens: { [token]: { rewards, root, proofs } }` with one tree per token, or with `tree: "combined"` under
+// `tokens: { [token]: { rewards, proofs } }` next to the `root` of a single tree of `(address, token, amount)`
+// leaves. Per-adapter records are grouped the same way, under `adapters[adapter].tokens`.
+//
+// Files whose leaves aren't encoded the default way name their `leafEncoding` (see `merkleTree.js`), proofs of
+// indexed encodings listing the `index` of their leaf.
+import ethers from "ethers";
+import Decimal from "./math.js";
+import * as fs from "fs";
+
+export const MORPHO_TOKEN = "0x9994E35Db50125E0DF82e4c2dde62496CE330999";
+
+export const TREE_LAYOUTS = ["per-token", "combined"];
+
+export const readProofsFile = async (path) => JSON.parse(await fs.promises.readFile(path, "utf8"));
+
+// Sums `{ [address]: amount }` maps into one keyed by checksummed address, with amounts as strings.
+export const addAmounts = (...maps) => {
+  const total = {};
+  for (const map of maps) {
+    for (const [address, amount] of Object.entries(map)) {
+      const user = ethers.utils.getAddress(address);
+      total[user] = new Decimal(total[user] ?? 0).plus(amount).toFixed();
+    }
+  }
+  return total;
+};
+
+// Returns `{ [token]: { root, proofs } }` for any proofs file, `root` being the combined tree's root in files
+// with `tree: "combined"`.
+export const tokenSectionsOf = (file) =>
+  file.tokens
+    ? Object.fromEntries(
+        Object.entries(file.tokens).map(([token, { root, proofs }]) => [
+          token,
+          { root: file.tree === "combined" ? file.root : root, proofs },
+        ])
+      )
+    : { [MORPHO_TOKEN]: { root: file.root, proofs: file.proofs } };
+
+// Returns the claimable amount of `token` of every address in a proofs file, keyed by checksummed address.
+// Addresses listed more than once (e.g. with different casing) are summed.
+export const amountsOf = (file, token = MORPHO_TOKEN) =>
+  addAmounts(
+    ...Object.entries(tokenSectionsOf(file)[token]?.proofs ?? {}).map(([address, { amount }]) => ({
+      [address]: amount,
+    }))
+  );
+
+// Returns what a file written by `main` records about `adapter` for `token` (pot, distributed amount, dust...)
+export const adapterRecordOf = (file, adapter, token = MORPHO_TOKEN) => {
+  const record = file.adapters?.[adapter];
+  if (record?.tokens) return record.tokens[token];
+  return token === MORPHO_TOKEN ? record : undefined;
+};
@@ -0,0 +1,80 @@
+// Reconciles outstanding balances (`due-morpho.json`) with a run's distribution.
+//
+// The due file lists `{ address, amount }` entries owed to users on top of their rewards. Entries are added to
+// the distribution once: an entry is covered when an earlier proofs file written by `main` (see `index.js`)
+// reports it under `due.merged`. No distribution may leave a listed address able to claim less than it is
+// owed, or less than the file covering its entry let it claim.
+import ethers from "ethers";
+import Decimal from "./math.js";
+import * as fs from "fs";
+import { MORPHO_TOKEN, addAmounts, amountsOf } from "./proofs.js";
+
+export const DUE_FILENAME = "./due-morpho.json";
+
+export const loadDue = async (path = DUE_FILENAME) =>
+  JSON.parse(await fs.promises.readFile(path, "utf8")).map(({ address, amount }, i) => {
+    if (!/^\d+$/.test(amount)) throw new Error(`${path}: entry ${i} amount must be an integer string (wei)`);
+    try {
+      return { address: ethers.utils.getAddress(address), amount };
+    } catch {
+      throw new Error(`${path}: entry ${i} "${address}" is not a valid address`);
+    }
+  });
+
+// Files of several tokens keep the reconciliation report next to the MORPHO tree
+const dueReportOf = (file) => file.due ?? file.tokens?.[MORPHO_TOKEN]?.due;
+
+// Splits `due` into the entries merged by one of `earlierProofs` (proofs files, oldest first) and the rest.
+// Covered entries record the epoch of the first file merging them and what it let the address claim.
+export const findCovered = (due, earlierProofs) => {
+  const earlier = earlierProofs.map((file) => ({
+    epoch: file.epoch ?? file.root,
+    merged: dueReportOf(file)?.merged ?? [],
+    amounts: amountsOf(file),
+  }));
+
+  // Each merged entry covers a single due entry, should the same amount be owed twice
+  const used = new Set();
+  const covered = [];
+  const outstanding = [];
+  for (const entry of due) {
+    let coveredBy;
+    for (const file of earlier) {
+      const match = file.merged.find(
+        (m) =>
+          !used.has(m) && ethers.utils.getAddress(m.address) === entry.address && m.amount === entry.amount
+      );
+      if (match) {
+        used.add(match);
+        coveredBy = file;
+        break;
+      }
+    }
+    if (coveredBy)
+      covered.push({ ...entry, epoch: coveredBy.epoch, claimable: coveredBy.amounts[entry.address] ?? "0" });
+    else outstanding.push(entry);
+  }
+  return { covered, outstanding };
+};
+
+// Adds the outstanding entries of `due` to `amounts` (`{ [address]: amount }`) and checks that no address in
+// `due` is underpaid. Returns the merged amounts and a report of the covered and merged entries, or throws
+// listing the underpaid addresses.
+export const reconcileDue = (amounts, due, earlierProofs) => {
+  const { covered, outstanding } = findCovered(due, earlierProofs);
+  const merged = addAmounts(amounts, ...outstanding.map(({ address, amount }) => ({ [address]: amount })));
+
+  // Amounts are cumulative, so covered addresses must still get what the covering file let them claim
+  const underpaid = [...covered, ...outstanding]
+    .map(({ address, amount, claimable = 0 }) => ({ address, owed: Decimal.max(amount, claimable) }))
+    .filter(({ address, owed }) => new Decimal(merged[address] ?? 0).lt(owed));
+  if (underpaid.length > 0) {
+    throw new Error(
+      `Refusing to publish, the distribution underpays:\n${underpaid
+        .map(({ address, owed }) => `  ${address} is owed ${owed.toFixed()}, gets ${merged[address] ?? 0}`)
+        .join("\n")}`
+    );
+  }
+
+  return { amounts: merged, report: { covered, merged: outstanding } };
+};
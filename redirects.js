@@ -0,0 +1,79 @@
+// Claim redirects, for holders on which claiming is impractical (e.g. Safes or other contracts).
+//
+// Global redirects live in `./redirects.json` and epochs may add their own under `redirects` (see `epochs.js`).
+// Both are lists of `{ holder, beneficiary, label }` objects, where `beneficiary` must be checksummed. A redirect
+// may be attested with a `signature` of `redirectMessage(holder, beneficiary)` by `signer` (by default the
+// holder). Redirects move each epoch's rewards from the holder to the beneficiary before the tree is built,
+// while amounts the holder could already claim stay with it.
+import ethers from "ethers";
+import Decimal from "./math.js";
+import * as fs from "fs";
+
+export const REDIRECTS_FILENAME = "./redirects.json";
+
+// Redirects move every reward token (see `index.js`), which the signed message must say
+export const redirectMessage = (holder, beneficiary) =>
+  `Redirect all rewards of ${holder}, in every token, to ${beneficiary}`;
+
+// Returns `{ [checksummed holder]: { beneficiary, label } }`
+export const parseRedirects = (entries, source = "redirects") => {
+  const fail = (i, message) => {
+    throw new Error(`${source}: entry ${i} ${message}`);
+  };
+
+  const redirects = {};
+  entries.forEach(({ holder, beneficiary, label = null, signer, signature }, i) => {
+    let address;
+    try {
+      address = ethers.utils.getAddress(holder);
+    } catch {
+      fail(i, `holder "${holder}" is not a valid address`);
+    }
+    let checksummed;
+    try {
+      checksummed = ethers.utils.getAddress(beneficiary);
+    } catch {
+      fail(i, `beneficiary "${beneficiary}" is not a valid address`);
+    }
+    if (checksummed !== beneficiary)
+      fail(i, `beneficiary "${beneficiary}" is not checksummed (${checksummed})`);
+    if (address in redirects) fail(i, `redirects ${address} a second time`);
+
+    if (signature != null) {
+      let recovered;
+      try {
+        recovered = ethers.utils.verifyMessage(redirectMessage(address, beneficiary), signature);
+      } catch {
+        fail(i, "signature is malformed");
+      }
+      if (recovered !== ethers.utils.getAddress(signer ?? address))
+        fail(i, `signature was made by ${recovered}, not ${signer ?? address}`);
+    }
+    redirects[address] = { beneficiary, label };
+  });
+  return redirects;
+};
+
+export const loadRedirects = async (path = REDIRECTS_FILENAME) =>
+  parseRedirects(JSON.parse(await fs.promises.readFile(path, "utf8")), path);
+
+// Moves the amounts of redirected holders in `amounts` (`{ [checksummed address]: amount }`) to their
+// beneficiaries. Returns the new amounts and a report of the `{ holder, beneficiary, label, amount }` moved.
+export const applyRedirects = (amounts, redirects) => {
+  // Chained redirects would make the final beneficiary depend on the order they're applied in
+  for (const [holder, { beneficiary }] of Object.entries(redirects)) {
+    if (beneficiary in redirects)
+      throw new Error(`${holder} is redirected to ${beneficiary}, which is itself redirected`);
+  }
+
+  const redirected = { ...amounts };
+  const report = [];
+  for (const [holder, { beneficiary, label }] of Object.entries(redirects)) {
+    if (!(holder in redirected)) continue;
+    const amount = redirected[holder];
+    delete redirected[holder];
+    redirected[beneficiary] = new Decimal(redirected[beneficiary] ?? 0).plus(amount).toFixed();
+    report.push({ holder, beneficiary, label, amount });
+  }
+  return { amounts: redirected, report };
+};
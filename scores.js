@@ -0,0 +1,161 @@
+// Pure score engine: turns YT transfers into per-user scores and scores into pot allocations.
+//
+// A user's score is the sum of the YTs they held times the number of blocks they held them for, counted
+// between `startBlock` and `endBlock` (see `index.js`).
+import ethers from "ethers";
+import Decimal from "./math.js";
+
+export const MIN_POT_PERCENTAGE = 0.001;
+
+// Turns a `Transfer` event into a transfer for `computeScores`. Event sources may return addresses in any
+// casing, so they're checksummed to key every holder the same way as the configured addresses.
+export const toTransfer = ({ args, blockNumber }) => ({
+  ...args,
+  from: ethers.utils.getAddress(args.from),
+  to: ethers.utils.getAddress(args.to),
+  amount: new Decimal(args.amount),
+  block: blockNumber,
+});
+
+// `transfers` are `{ from, to, amount, block }` objects sorted by block, with `amount` a Decimal.
+// Returns `{ [user]: { score, prevCheckpoint: { amount, block }, checkpoints } }` where `prevCheckpoint` holds the
+// user's balance after the last transfer and `checkpoints` every `{ amount, block }` checkpoint in order.
+// Transfers after `endBlock` don't change any score.
+export const computeScores = (transfers, { startBlock = 0, endBlock }) => {
+  // Calculate scores (representations of the balance of YTs held by a user * the amount of time they held them)
+  // via checkpoints on each transfer. e.g.
+  // * transfer 50 YTs to user for the first time on block 100 -> checkpoint 1 = 50 YTs, block 100; score = 0
+  // * transfer 50 YTs to user on block 200 -> checkpoint 2 = 100 YTs, block 200; score = 50 * (200 - 100) = 5000
+  const scores = {};
+
+  // Accrues the balance held since the user's previous checkpoint up to `block`, counting only the blocks
+  // that fall within [startBlock, endBlock]. Holdings before the start block or after the end block are ignored.
+  const accrue = (user, block) => {
+    const { prevCheckpoint, score } = scores[user];
+    const blocks = Math.min(block, endBlock) - Math.max(prevCheckpoint.block, startBlock);
+    if (blocks > 0) scores[user].score = score.plus(prevCheckpoint.amount.times(blocks));
+  };
+
+  const checkpoint = (user, amount, block) => {
+    scores[user].prevCheckpoint = { amount, block };
+    scores[user].checkpoints.push(scores[user].prevCheckpoint);
+  };
+
+  for (const { from, to, amount, block } of transfers) {
+    if (to !== ethers.constants.AddressZero) {
+      // AddressZero is the burn address
+      if (scores[to]) {
+        accrue(to, block);
+        checkpoint(to, scores[to].prevCheckpoint.amount.plus(amount), block);
+      } else {
+        // If the user doesn't have a score yet, then we init them at zero and set the `prevCheckpoint` to the current block and amount.
+        scores[to] = { score: new Decimal(0), checkpoints: [] };
+        checkpoint(to, amount, block);
+      }
+    }
+
+    // AddressZero is the mint address
+    if (scores[from] && from !== ethers.constants.AddressZero) {
+      accrue(from, block);
+      checkpoint(from, scores[from].prevCheckpoint.amount.minus(amount), block);
+    }
+  }
+
+  // Accrue scores up to `endBlock`
+  for (const user of Object.keys(scores)) accrue(user, endBlock);
+
+  return scores;
+};
+
+export const DUST_POLICIES = ["redistribute", "rollover", "treasury"];
+
+export const sumScores = (scores) =>
+  Object.values(scores).reduce((acc, { score }) => acc.plus(score), new Decimal(0));
+
+export const sumAmounts = (amounts) =>
+  Object.values(amounts).reduce((acc, amount) => acc.plus(amount), new Decimal(0));
+
+export const ROUNDING_MODES = ["largest-remainder", "floor-plus-remainder"];
+
+// Splits the integer `amount` pro-rata to `scores` so that the parts sum to exactly `amount`. Every user gets
+// the floor of their exact part, and the wei left over go one each to the users with the largest fractional
+// parts ("largest-remainder") or all to the user with the largest score ("floor-plus-remainder"). Ties are
+// broken by address so the result doesn't depend on key order.
+export const split = (scores, amount, rounding) => {
+  const totalScore = sumScores(scores);
+  const parts = Object.entries(scores).map(([user, { score }]) => {
+    const exact = score.times(amount).div(totalScore);
+    const floor = exact.floor();
+    return { user, score, floor, remainder: exact.minus(floor) };
+  });
+
+  let leftover = parts.reduce((acc, { floor }) => acc.minus(floor), amount);
+  const byAddress = (a, b) => (a.user.toLowerCase() < b.user.toLowerCase() ? -1 : 1);
+  if (rounding === "largest-remainder") {
+    const ranked = [...parts].sort((a, b) => b.remainder.comparedTo(a.remainder) || byAddress(a, b));
+    for (let i = 0; leftover.gt(0); i++, leftover = leftover.minus(1))
+      ranked[i].floor = ranked[i].floor.plus(1);
+  } else {
+    const [largest] = [...parts].sort((a, b) => b.score.comparedTo(a.score) || byAddress(a, b));
+    largest.floor = largest.floor.plus(leftover);
+  }
+
+  return Object.fromEntries(parts.map(({ user, floor }) => [user, floor]));
+};
+
+// Splits `pot` between users pro-rata to their score, to the wei (see `split` for the `rounding` modes). Users
+// with no more than `MIN_POT_PERCENTAGE` of the total score ("dust") get nothing and their share is handled
+// according to `dust.policy`:
+// * "redistribute": split pro-rata between the other users
+// * "rollover": left undistributed, to be added to the next epoch's pot
+// * "treasury": allocated to `dust.treasury`
+// Returns `{ rights: { [user]: amount }, dust: { policy, holders, amount } }` with amounts as strings, where
+// `rights` leaves out users allocated nothing, and `dust.holders` and `dust.amount` are the number of users
+// below the threshold and what they would have got.
+// Throws if the allocation (plus any rolled over dust) doesn't add up to the pot.
+export const allocate = (
+  scores,
+  pot,
+  { policy = "redistribute", treasury } = {},
+  { rounding = "largest-remainder" } = {}
+) => {
+  const totalScore = sumScores(scores);
+  const totalAvailableMorpho = new Decimal(pot);
+
+  const eligible = {};
+  let holders = 0;
+  for (const [user, entry] of Object.entries(scores)) {
+    if (entry.score.isZero()) continue;
+    if (entry.score.div(totalScore).gt(MIN_POT_PERCENTAGE)) eligible[user] = entry;
+    else holders++;
+  }
+
+  const eligibleScore = sumScores(eligible);
+  if (eligibleScore.isZero()) {
+    if (!totalAvailableMorpho.isZero()) throw new Error(`No holders to allocate ${pot} to`);
+    return { rights: {}, dust: { policy, holders, amount: "0" } };
+  }
+
+  const dustAmount = totalAvailableMorpho.times(totalScore.minus(eligibleScore)).div(totalScore).floor();
+  // Redistributing is the same as splitting the whole pot over the eligible users' scores
+  const usersAmount =
+    policy === "redistribute" ? totalAvailableMorpho : totalAvailableMorpho.minus(dustAmount);
+
+  const amounts = split(eligible, usersAmount, rounding);
+  if (policy === "treasury" && !dustAmount.isZero()) {
+    amounts[treasury] = dustAmount.plus(amounts[treasury] ?? 0);
+  }
+
+  const distributed = sumAmounts(amounts);
+  const expected = policy === "rollover" ? totalAvailableMorpho.minus(dustAmount) : totalAvailableMorpho;
+  if (!distributed.eq(expected))
+    throw new Error(`Allocation sums to ${distributed.toFixed()}, expected ${expected.toFixed()}`);
+
+  // Users whose part rounds down to nothing would otherwise get zero-amount leaves
+  const rights = Object.fromEntries(
+    Object.entries(amounts)
+      .filter(([, amount]) => !amount.isZero())
+      .map(([user, amount]) => [user, amount.toFixed()])
+  );
+  return { rights, dust: { policy, holders, amount: dustAmount.toFixed() } };
+};
@@ -0,0 +1,194 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import ethers from "ethers";
+import Decimal from "./math.js";
+import {
+  DUST_POLICIES,
+  ROUNDING_MODES,
+  allocate,
+  computeScores,
+  split,
+  sumAmounts,
+  toTransfer,
+} from "./scores.js";
+
+const { AddressZero } = ethers.constants;
+const ALICE = "0x000000000000000000000000000000000000000A";
+const BOB = "0x000000000000000000000000000000000000000b";
+
+const transfer = (from, to, amount, block) => ({ from, to, amount: new Decimal(amount), block });
+const scoresOf = (scores) =>
+  Object.fromEntries(Object.entries(scores).map(([user, { score }]) => [user, score.toFixed()]));
+
+test("a mint followed by a burn accrues only while the YTs are held", () => {
+  const scores = computeScores(
+    [transfer(AddressZero, ALICE, 100, 10), transfer(ALICE, AddressZero, 100, 30)],
+    { startBlock: 0, endBlock: 50 }
+  );
+  assert.deepEqual(scoresOf(scores), { [ALICE]: "2000" });
+  assert.equal(scores[ALICE].prevCheckpoint.amount.toFixed(), "0");
+});
+
+test("holdings before startBlock don't accrue when the next transfer is within the window", () => {
+  const scores = computeScores([transfer(AddressZero, ALICE, 100, 10), transfer(ALICE, BOB, 40, 60)], {
+    startBlock: 50,
+    endBlock: 100,
+  });
+  assert.deepEqual(scoresOf(scores), { [ALICE]: "3400", [BOB]: "1600" });
+});
+
+test("a holder whose first transfer is after endBlock has a zero score", () => {
+  const scores = computeScores([transfer(AddressZero, ALICE, 100, 10), transfer(ALICE, BOB, 100, 120)], {
+    startBlock: 0,
+    endBlock: 100,
+  });
+  assert.deepEqual(scoresOf(scores), { [ALICE]: "9000", [BOB]: "0" });
+});
+
+test("a zero pot with no holders allocates nothing", () => {
+  assert.deepEqual(allocate({}, "0").rights, {});
+});
+
+// A historical epoch scored over blocks 100-900, with a transfer after its end
+const CAROL = "0x000000000000000000000000000000000000000C";
+const DAVE = "0x000000000000000000000000000000000000000d";
+const HISTORY = [
+  transfer(AddressZero, ALICE, 625, 50),
+  transfer(AddressZero, BOB, 2250, 80),
+  transfer(AddressZero, CAROL, 1000, 300),
+  transfer(AddressZero, DAVE, 400, 700),
+  transfer(BOB, ALICE, 2250, 1200),
+];
+
+test("transfers after endBlock don't change any score", () => {
+  const window = { startBlock: 100, endBlock: 900 };
+  const expected = { [ALICE]: "500000", [BOB]: "1800000", [CAROL]: "600000", [DAVE]: "80000" };
+  assert.deepEqual(scoresOf(computeScores(HISTORY, window)), expected);
+  assert.deepEqual(scoresOf(computeScores(HISTORY.slice(0, -1), window)), expected);
+});
+
+test("a checkpoint exactly at endBlock accrues nothing after it", () => {
+  const scores = computeScores([transfer(AddressZero, ALICE, 100, 10), transfer(ALICE, BOB, 60, 100)], {
+    startBlock: 0,
+    endBlock: 100,
+  });
+  assert.deepEqual(scoresOf(scores), { [ALICE]: "9000", [BOB]: "0" });
+});
+
+test("a window with startBlock equal to endBlock scores nothing", () => {
+  assert.deepEqual(scoresOf(computeScores(HISTORY, { startBlock: 500, endBlock: 500 })), {
+    [ALICE]: "0",
+    [BOB]: "0",
+    [CAROL]: "0",
+    [DAVE]: "0",
+  });
+});
+
+test("users whose part rounds down to nothing get no rights", () => {
+  const scores = {
+    [ALICE]: { score: new Decimal(100) },
+    [BOB]: { score: new Decimal(100) },
+    [CAROL]: { score: new Decimal(1) },
+  };
+  const { rights } = allocate(scores, "7");
+  assert.deepEqual(Object.keys(rights).sort(), [ALICE, BOB].sort());
+  assert.equal(new Decimal(rights[ALICE]).plus(rights[BOB]).toFixed(), "7");
+});
+
+test("transfers are keyed by checksummed address whatever the event source's casing", () => {
+  const event = (from, to, amount, blockNumber) => ({ args: { from, to, amount }, blockNumber });
+  const scores = computeScores(
+    [event(AddressZero, ALICE.toLowerCase(), "100", 10), event(ALICE, BOB.toLowerCase(), "40", 20)].map(
+      toTransfer
+    ),
+    { startBlock: 0, endBlock: 30 }
+  );
+  assert.deepEqual(scoresOf(scores), { [ALICE]: "1600", [ethers.utils.getAddress(BOB)]: "400" });
+});
+
+const scoresFrom = (entries) =>
+  Object.fromEntries(Object.entries(entries).map(([user, score]) => [user, { score: new Decimal(score) }]));
+const amountsOf = (amounts) =>
+  Object.fromEntries(Object.entries(amounts).map(([user, amount]) => [user, new Decimal(amount).toFixed()]));
+
+test("largest-remainder gives the leftover wei to the largest fractional parts", () => {
+  const parts = split(scoresFrom({ [ALICE]: 6, [BOB]: 4 }), new Decimal(7), "largest-remainder");
+  assert.deepEqual(amountsOf(parts), { [ALICE]: "4", [BOB]: "3" });
+});
+
+test("floor-plus-remainder gives all the leftover wei to the largest score", () => {
+  const parts = split(scoresFrom({ [ALICE]: 6, [BOB]: 4 }), new Decimal(7), "floor-plus-remainder");
+  assert.deepEqual(amountsOf(parts), { [ALICE]: "5", [BOB]: "2" });
+});
+
+const EVE = "0x000000000000000000000000000000000000000E";
+
+test("every rounding mode and dust policy allocates the pot, less any rolled over dust", () => {
+  // EVE's score is dust
+  const scores = scoresFrom({ [ALICE]: 7, [BOB]: 13, [CAROL]: 29, [DAVE]: 31, [EVE]: 0.03 });
+  for (const rounding of ROUNDING_MODES) {
+    for (const policy of DUST_POLICIES) {
+      const { rights, dust } = allocate(scores, "1000003", { policy, treasury: DAVE }, { rounding });
+      const expected = new Decimal(1000003).minus(policy === "rollover" ? dust.amount : 0);
+      assert.notEqual(dust.amount, "0");
+      assert.equal(sumAmounts(rights).toFixed(), expected.toFixed(), `${rounding}, ${policy}`);
+    }
+  }
+});
+
+test("ties are broken by address whatever the key order or casing", () => {
+  const even = { [ALICE]: 1, [BOB]: 1, [CAROL]: 1 };
+  const reversed = { [CAROL]: 1, [BOB]: 1, [ALICE]: 1 };
+  for (const scores of [even, reversed]) {
+    const pot = new Decimal(11);
+    assert.deepEqual(amountsOf(split(scoresFrom(scores), pot, "largest-remainder")), {
+      [ALICE]: "4",
+      [BOB]: "4",
+      [CAROL]: "3",
+    });
+    assert.deepEqual(amountsOf(split(scoresFrom(scores), pot, "floor-plus-remainder")), {
+      [ALICE]: "5",
+      [BOB]: "3",
+      [CAROL]: "3",
+    });
+  }
+  // 0x…0b sorts before 0x…0C once lowercased, but not as given
+  const parts = split(scoresFrom({ [CAROL]: 1, [BOB]: 1 }), new Decimal(3), "largest-remainder");
+  assert.deepEqual(amountsOf(parts), { [BOB]: "2", [CAROL]: "1" });
+});
+
+// CAROL holds 0.05% of the total score, below `MIN_POT_PERCENTAGE`, so her 5 wei of the pot are dust
+const DUSTY = { [ALICE]: 600, [BOB]: 399.5, [CAROL]: 0.5 };
+
+test("redistributed dust is split between the other users", () => {
+  const { rights, dust } = allocate(scoresFrom(DUSTY), "10000", { policy: "redistribute" });
+  assert.deepEqual(rights, { [ALICE]: "6003", [BOB]: "3997" });
+  assert.deepEqual(dust, { policy: "redistribute", holders: 1, amount: "5" });
+  assert.equal(sumAmounts(rights).toFixed(), "10000");
+});
+
+test("rolled over dust is left out of the allocation", () => {
+  const { rights, dust } = allocate(scoresFrom(DUSTY), "10000", { policy: "rollover" });
+  assert.deepEqual(rights, { [ALICE]: "6000", [BOB]: "3995" });
+  assert.equal(sumAmounts(rights).toFixed(), new Decimal(10000).minus(dust.amount).toFixed());
+});
+
+test("treasury dust is allocated to the treasury, on top of any part of its own", () => {
+  const toDave = allocate(scoresFrom(DUSTY), "10000", { policy: "treasury", treasury: DAVE });
+  assert.deepEqual(toDave.rights, { [ALICE]: "6000", [BOB]: "3995", [DAVE]: "5" });
+  const toAlice = allocate(scoresFrom(DUSTY), "10000", { policy: "treasury", treasury: ALICE });
+  assert.deepEqual(toAlice.rights, { [ALICE]: "6005", [BOB]: "3995" });
+  for (const { rights } of [toDave, toAlice]) assert.equal(sumAmounts(rights).toFixed(), "10000");
+});
+
+test("an allocation that doesn't add up to the pot throws", () => {
+  // A fractional pot can't be split to the wei
+  assert.throws(
+    () => allocate(scoresFrom({ [ALICE]: 1, [BOB]: 1 }), "10.5"),
+    /Allocation sums to 11, expected 10\.5/
+  );
+});
+
+test("a pot with no holders to allocate it to throws", () => {
+  assert.throws(() => allocate(scoresFrom({ [ALICE]: 0 }), "10"), /No holders to allocate 10 to/);
+});
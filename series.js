@@ -0,0 +1,104 @@
+// Series-specific scoring rules: when a series' YTs stop accruing, and the weights used to split an adapter's
+// pot across its series when they are scored independently.
+//
+// YTs stop earning yield at their series' maturity, or when the series is settled if that happens first, so
+// holdings after that cutoff don't count towards any score.
+//
+// YTs of different series aren't fungible: they mature at different times and are issued at different scales.
+// With `seriesWeights` set (see `epochs.js`), each series of an adapter is scored on its own and gets a share
+// of the adapter's pot proportional to its weight:
+// * "equal": every series with holders weighs the same
+// * "supply": the series' time-weighted YT supply, i.e. the sum of its holders' scores
+// * "value": the time-weighted supply valued in underlying, at the series' `mscale` once it is settled and at
+//   each holder's last scale (`lscales`) before that, look-through depositors being valued at the scale of the
+//   contract holding their YTs
+import ethers from "ethers";
+import Decimal from "./math.js";
+
+import dividerAbi from "./abis/Divider.js";
+
+// Returns when YTs of `series` (the `SeriesInitialized` args of the series) stop accruing as `{ block, reason }`,
+// `reason` being "maturity" or "settlement", or null if neither happened yet. `settlements` are the Divider's
+// `SeriesSettled` events and `resolveBlock` resolves timestamps to blocks (see `blocks.js`).
+export const seriesCutoff = async (series, settlements, resolveBlock) => {
+  const settlement = settlements.find(
+    ({ args }) =>
+      ethers.utils.getAddress(args.adapter) === ethers.utils.getAddress(series.adapter) &&
+      args.maturity === series.maturity
+  );
+  const maturityBlock = await resolveBlock(Number(series.maturity));
+  const cutoffs = [
+    ...(maturityBlock != null ? [{ block: maturityBlock, reason: "maturity" }] : []),
+    ...(settlement ? [{ block: settlement.blockNumber, reason: "settlement" }] : []),
+  ];
+  return cutoffs.sort((a, b) => a.block - b.block)[0] ?? null;
+};
+
+// Stops a series' YT `Transfer` events (see `eventSources.js`) at `cutoff`: later transfers are dropped and
+// every holder's remaining balance is burnt at the cutoff block, so that it stops accruing score.
+export const capTransfers = (transfers, cutoff) => {
+  const kept = transfers.filter(({ blockNumber }) => blockNumber <= cutoff.block);
+
+  // Keyed by checksummed address, as event sources may spell a holder differently across transfers
+  const balances = {};
+  for (const { args } of kept) {
+    const amount = new Decimal(args.amount);
+    const from = ethers.utils.getAddress(args.from);
+    const to = ethers.utils.getAddress(args.to);
+    if (from !== ethers.constants.AddressZero)
+      balances[from] = (balances[from] ?? new Decimal(0)).minus(amount);
+    if (to !== ethers.constants.AddressZero) balances[to] = (balances[to] ?? new Decimal(0)).plus(amount);
+  }
+
+  const burns = Object.entries(balances)
+    .filter(([, balance]) => balance.gt(0))
+    .map(([holder, balance]) => ({
+      blockNumber: cutoff.block,
+      // After every transfer of the block
+      logIndex: Number.MAX_SAFE_INTEGER,
+      args: { from: holder, to: ethers.constants.AddressZero, amount: balance.toFixed() },
+    }));
+  return [...kept, ...burns];
+};
+
+export const SERIES_WEIGHTS = ["equal", "supply", "value"];
+
+const WAD = new Decimal("1e18");
+
+// `pools` are `{ series, scores }` objects where `series` holds the `SeriesInitialized` args of the series and
+// `scores` the eligible scores of its holders (see `scores.js`). Scales are read from the `divider` at
+// `blockTag`. Returns `{ [maturity]: { score: weight } }`, the shape `split` takes (see `scores.js`).
+export const weighSeries = async (pools, weighting, { source, divider, blockTag }) => {
+  const call = (method, args) =>
+    source.call({ address: divider, abi: dividerAbi, method, args, blockTag }).then((r) => new Decimal(r));
+
+  const weights = {};
+  for (const { series, scores } of pools) {
+    const holders = Object.entries(scores).filter(([, { score }]) => !score.isZero());
+    let weight = new Decimal(0);
+    if (weighting === "equal") {
+      if (holders.length > 0) weight = new Decimal(1);
+    } else if (weighting === "supply") {
+      weight = holders.reduce((acc, [, { score }]) => acc.plus(score), weight);
+    } else if (holders.length > 0) {
+      const mscale = await call("mscale", [series.adapter, series.maturity]);
+      const lscales = {};
+      const scaleOf = async (address) =>
+        mscale.isZero()
+          ? (lscales[address] ??= await call("lscales", [series.adapter, series.maturity, address]))
+          : mscale;
+      for (const [user, { score, lookThrough = [] }] of holders) {
+        // Look-through depositors never held the YTs themselves, so what they got through a holder is valued
+        // at the holder's scale
+        let direct = score;
+        for (const { holder, score: part } of lookThrough) {
+          weight = weight.plus(part.times(await scaleOf(holder)).div(WAD));
+          direct = direct.minus(part);
+        }
+        if (!direct.isZero()) weight = weight.plus(direct.times(await scaleOf(user)).div(WAD));
+      }
+    }
+    weights[series.maturity] = { score: weight };
+  }
+  return weights;
+};
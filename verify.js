@@ -0,0 +1,127 @@
+// Checks that a proofs file (`proof.*.json`) is internally consistent.
+//
+// Every entry's leaf is recomputed from its `(address, amount)`, encoded as the file's `leafEncoding` says (see
+// `merkleTree.js`), and its proof checked against `root`. Errors make the file unusable for claims: invalid
+// addresses, amounts or indices, proofs that don't verify, and addresses listed more than once (e.g. with
+// different casing). Warnings flag files that still work but are fragile: non-checksummed addresses, and a root
+// that can't be rebuilt from the listed entries alone.
+//
+// Files with several reward tokens (see `proofs.js`) are checked tree by tree, messages naming the token.
+import ethers from "ethers";
+import {
+  INDEXED_ENCODINGS,
+  LEAF_ENCODINGS,
+  computeEncodedLeaf,
+  computeMerkleTree,
+  defaultEncoding,
+  verifyProof,
+} from "./merkleTree.js";
+import { tokenSectionsOf } from "./proofs.js";
+
+// Checks the proofs of one tree against `root`. `sections` are `{ token, proofs }` objects, `token` being null
+// in trees of a single token, and `encoding` the leaf encoding, by default the one `computeMerkleTree` uses.
+const verifyTree = (
+  root,
+  sections,
+  encoding = defaultEncoding(sections.some(({ token }) => token != null))
+) => {
+  const errors = [];
+  const warnings = [];
+
+  let entries = 0;
+  for (const { token, proofs } of sections) {
+    const prefix = token != null ? `${token} ` : "";
+    const seen = {};
+    for (const [address, { index, amount, proof }] of Object.entries(proofs)) {
+      entries++;
+      let checksummed;
+      try {
+        checksummed = ethers.utils.getAddress(address);
+      } catch {
+        errors.push(`${prefix}${address}: not a valid address`);
+        continue;
+      }
+      if (checksummed !== address) warnings.push(`${prefix}${address}: not checksummed (${checksummed})`);
+
+      if (seen[checksummed]) errors.push(`${prefix}${address}: duplicate of ${seen[checksummed]}`);
+      else seen[checksummed] = address;
+
+      if (!/^\d+$/.test(amount)) {
+        errors.push(`${prefix}${address}: amount "${amount}" is not an integer`);
+        continue;
+      }
+      if (INDEXED_ENCODINGS.includes(encoding) && !Number.isSafeInteger(index)) {
+        errors.push(`${prefix}${address}: index "${index}" is not an integer`);
+        continue;
+      }
+      const leaf = computeEncodedLeaf(encoding, { index, address, token, amount });
+      if (!verifyProof(proof, leaf, root))
+        errors.push(`${prefix}${address}: proof for ${amount} does not verify against ${root}`);
+    }
+  }
+
+  if (errors.length === 0) {
+    // Trees published before leaves were sorted by address were built in file order
+    const distribution = sections.flatMap(({ token, proofs }) =>
+      Object.entries(proofs).map(([address, { amount }]) => ({
+        address,
+        ...(token != null && { token }),
+        accumulatedRewards: amount,
+      }))
+    );
+    const { root: rebuiltRoot } = computeMerkleTree(distribution, { encoding });
+    if (rebuiltRoot !== root && computeMerkleTree(distribution, { sort: false, encoding }).root !== root)
+      warnings.push(`root rebuilt from the listed entries is ${rebuiltRoot}, not ${root}`);
+  }
+
+  return { entries, errors, warnings };
+};
+
+// Returns `{ entries, errors, warnings }` where `errors` and `warnings` are lists of messages.
+export const verifyProofsFile = (file) => {
+  const encoding = file.leafEncoding;
+  if (encoding != null && !(encoding in LEAF_ENCODINGS))
+    return { entries: 0, errors: [`unknown leaf encoding "${encoding}"`], warnings: [] };
+  if (!file.tokens) return verifyTree(file.root, [{ token: null, proofs: file.proofs }], encoding);
+  if (file.tree === "combined")
+    return verifyTree(
+      file.root,
+      Object.entries(file.tokens).map(([token, { proofs }]) => ({ token, proofs })),
+      encoding
+    );
+
+  const results = Object.entries(file.tokens).map(([token, { root, proofs }]) => {
+    const { entries, errors, warnings } = verifyTree(root, [{ token: null, proofs }], encoding);
+    return {
+      entries,
+      errors: errors.map((error) => `${token} ${error}`),
+      warnings: warnings.map((warning) => `${token} ${warning}`),
+    };
+  });
+  return {
+    entries: results.reduce((acc, { entries }) => acc + entries, 0),
+    errors: results.flatMap(({ errors }) => errors),
+    warnings: results.flatMap(({ warnings }) => warnings),
+  };
+};
+
+// Flags accounts spelled with different casing across proofs files, as `{ [checksummed]: [spellings] }`.
+export const findCasingMismatches = (files) => {
+  const spellings = {};
+  for (const file of files) {
+    for (const address of Object.values(tokenSectionsOf(file)).flatMap(({ proofs }) => Object.keys(proofs))) {
+      let checksummed;
+      try {
+        checksummed = ethers.utils.getAddress(address);
+      } catch {
+        continue;
+      }
+      (spellings[checksummed] ??= new Set()).add(address);
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(spellings)
+      .filter(([, set]) => set.size > 1)
+      .map(([address, set]) => [address, [...set]])
+  );
+};